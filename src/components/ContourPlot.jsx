@@ -0,0 +1,126 @@
+import React from "react";
+
+/* SVG credible-region plot: filled contours from credibleContours()
+ * (analysis.js) on axes that show log10 parameters as powers of ten.
+ * ContourLayer, AxisTicks and the tick helpers are shared with the corner plot.
+ */
+
+export const CONTOUR_COLORS = ["rgba(96,165,250,0.30)", "rgba(96,165,250,0.65)", "rgba(96,165,250,0.85)"];
+const CONTOUR_STROKE = "#93c5fd";
+
+// About `target` round ticks in [lo, hi].
+export function niceTicks(lo, hi, target = 6) {
+  const raw = (hi - lo) / Math.max(target, 1);
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].map((m) => m * mag).find((s) => s >= raw) ?? 10 * mag;
+  const ticks = [];
+  for (let v = Math.ceil(lo / step) * step; v <= hi + 1e-9 * step; v += step) ticks.push(Number(v.toFixed(10)));
+  return ticks;
+}
+
+// Axis title of a parameter: the physical quantity for log10 parameters.
+export function axisTitle(spec) {
+  return spec.transform === "log10" ? spec.label.replace(/^log10\((.*)\)$/, "$1") : spec.label;
+}
+
+// Tick label: 10^v for log10 parameters (superscript), plain value otherwise.
+export function TickLabel({ spec, value, ...props }) {
+  if (spec.transform !== "log10") return <text {...props}>{value}</text>;
+  return (
+    <text {...props}>
+      10<tspan dy={-5} fontSize="0.75em">{value}</tspan>
+    </text>
+  );
+}
+
+// x and y ticks with labels along the bottom and left of a plot box.
+export function AxisTicks({ xSpec, ySpec, sx, sy, box, showX = true, showY = true, target = 6 }) {
+  const { left, top, width, height } = box;
+  return (
+    <g fill="currentColor" fontSize={11}>
+      {showX &&
+        niceTicks(...xSpec.range, target).map((v) => (
+          <g key={`x${v}`}>
+            <line x1={sx(v)} x2={sx(v)} y1={top + height} y2={top + height + 5} stroke="currentColor" />
+            <TickLabel spec={xSpec} value={v} x={sx(v)} y={top + height + 19} textAnchor="middle" />
+          </g>
+        ))}
+      {showY &&
+        niceTicks(...ySpec.range, target).map((v) => (
+          <g key={`y${v}`}>
+            <line x1={left - 5} x2={left} y1={sy(v)} y2={sy(v)} stroke="currentColor" />
+            <TickLabel spec={ySpec} value={v} x={left - 8} y={sy(v) + 4} textAnchor="end" />
+          </g>
+        ))}
+    </g>
+  );
+}
+
+/* Filled credible regions, widest first, each drawn as one even-odd path,
+ * with its percentage written at the top of its largest polygon.
+ */
+export function ContourLayer({ contours, sx, sy, showLabels = true }) {
+  return (
+    <g>
+      {contours.map((c, k) => {
+        const d = c.polygons
+          .map((poly) => poly.map(([x, y], i) => `${i ? "L" : "M"}${sx(x).toFixed(1)},${sy(y).toFixed(1)}`).join("") + "Z")
+          .join("");
+        const largest = c.polygons.reduce((a, b) => (b.length > (a?.length ?? 0) ? b : a), null);
+        const top = largest?.reduce((a, b) => (b[1] > a[1] ? b : a));
+        return (
+          <g key={c.fraction}>
+            <path d={d} fill={CONTOUR_COLORS[Math.min(k, CONTOUR_COLORS.length - 1)]} fillRule="evenodd"
+              stroke={CONTOUR_STROKE} strokeWidth={1} />
+            {showLabels && top && (
+              <text x={sx(top[0])} y={sy(top[1]) - 4} fontSize={10} fill={CONTOUR_STROKE} textAnchor="middle">
+                {`${Math.round(c.fraction * 100)}%`}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </g>
+  );
+}
+
+const WIDTH = 640;
+const HEIGHT = 440;
+const MARGIN = { top: 16, right: 24, bottom: 50, left: 70 };
+
+export default function ContourPlot({ contours, xSpec, ySpec }) {
+  const box = { left: MARGIN.left, top: MARGIN.top, width: WIDTH - MARGIN.left - MARGIN.right, height: HEIGHT - MARGIN.top - MARGIN.bottom };
+  const [x0, x1] = xSpec.range;
+  const [y0, y1] = ySpec.range;
+  const sx = (x) => box.left + ((x - x0) / (x1 - x0)) * box.width;
+  const sy = (y) => box.top + box.height - ((y - y0) / (y1 - y0)) * box.height;
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: "100%", height: "auto" }} role="img"
+      aria-label={`Credible regions of ${xSpec.label} and ${ySpec.label}`}>
+      <defs>
+        <clipPath id="contour-plot">
+          <rect x={box.left} y={box.top} width={box.width} height={box.height} />
+        </clipPath>
+      </defs>
+      {niceTicks(x0, x1).map((v) => (
+        <line key={`gx${v}`} x1={sx(v)} x2={sx(v)} y1={box.top} y2={box.top + box.height} stroke="rgba(255,255,255,0.08)" />
+      ))}
+      {niceTicks(y0, y1).map((v) => (
+        <line key={`gy${v}`} x1={box.left} x2={box.left + box.width} y1={sy(v)} y2={sy(v)} stroke="rgba(255,255,255,0.08)" />
+      ))}
+      <g clipPath="url(#contour-plot)">
+        <ContourLayer contours={contours} sx={sx} sy={sy} />
+      </g>
+      <rect x={box.left} y={box.top} width={box.width} height={box.height} fill="none" stroke="rgba(255,255,255,0.35)" />
+      <AxisTicks xSpec={xSpec} ySpec={ySpec} sx={sx} sy={sy} box={box} />
+      <text x={box.left + box.width / 2} y={HEIGHT - 8} fontSize={12} fill="currentColor" textAnchor="middle">
+        {axisTitle(xSpec)}
+      </text>
+      <text x={16} y={box.top + box.height / 2} fontSize={12} fill="currentColor" textAnchor="middle"
+        transform={`rotate(-90 16 ${box.top + box.height / 2})`}>
+        {axisTitle(ySpec)}
+      </text>
+    </svg>
+  );
+}
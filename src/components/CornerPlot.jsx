@@ -0,0 +1,262 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { AlertCircle, Download, Loader2 } from "lucide-react";
+
+import { histogram1D, weightedQuantiles } from "../lib/analysis.js";
+import { priorEdges } from "../lib/model.js";
+import { startJob } from "../workers/jobs.js";
+import { AxisTicks, ContourLayer, axisTitle } from "./ContourPlot.jsx";
+
+/* Corner plot of a sampler result: weighted 1D marginals with the 16/50/84%
+ * quantiles on the diagonal, 68/95% KDE credible regions for every pair
+ * below it (posteriorDensity jobs with the given bandwidth rule, reflected
+ * at hard prior edges), and a summary table (median, ±1σ, 95% upper limit). Panels span
+ * the bulk of the posterior (0.1–99.9% quantiles, clipped to the prior).
+ * The figure exports as SVG or PNG on a white background.
+ */
+
+const PANEL = 130;
+const GAP = 8;
+const MARGIN = { top: 30, right: 12, bottom: 56, left: 64 };
+const HIST_COLOR = "#60a5fa";
+const PNG_SCALE = 3;
+const CREDIBLE_FRACTIONS = [0.68, 0.95];
+
+function panelRange(values, weights, prior) {
+  const [q0, q1] = weightedQuantiles(values, weights, [0.001, 0.999]);
+  const pad = 0.1 * (q1 - q0);
+  const lo = Math.max(prior[0], q0 - pad);
+  const hi = Math.min(prior[1], q1 + pad);
+  return hi > lo ? [lo, hi] : prior;
+}
+
+function summarize(mcmc) {
+  const { samples, weights, parameters } = mcmc;
+  return parameters.map((p) => {
+    const values = samples.map((s) => s[p.name]);
+    const [q16, median, q84, ul95] = weightedQuantiles(values, weights, [0.16, 0.5, 0.84, 0.95]);
+    return {
+      spec: { ...p, range: panelRange(values, weights, p.range) },
+      edges: priorEdges(p),
+      quantiles: [q16, median, q84],
+      median,
+      minus: median - q16,
+      plus: q84 - median,
+      ul95,
+    };
+  });
+}
+
+function download(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Standalone SVG text: dark ink on white, for papers.
+function serializeFigure(svg, width, height) {
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  clone.setAttribute("style", "color:#111;font-family:Helvetica,Arial,sans-serif");
+  const bg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  bg.setAttribute("width", "100%");
+  bg.setAttribute("height", "100%");
+  bg.setAttribute("fill", "#fff");
+  clone.insertBefore(bg, clone.firstChild);
+  return new XMLSerializer().serializeToString(clone);
+}
+
+export default function CornerPlot({ mcmc, bandwidth = "scott" }) {
+  const svgRef = useRef(null);
+  const stats = useMemo(() => summarize(mcmc), [mcmc]);
+
+  // Pair densities run one posteriorDensity job at a time; panels stay empty until theirs arrives.
+  const [pairs, setPairs] = useState({});
+  const [densityError, setDensityError] = useState("");
+  useEffect(() => {
+    const queue = [];
+    for (let i = 1; i < stats.length; i++) {
+      for (let j = 0; j < i; j++) queue.push([i, j]);
+    }
+    setPairs({});
+    setDensityError("");
+    let cancel = null;
+    const next = (k) => {
+      if (k === queue.length) {
+        cancel = null;
+        return;
+      }
+      const [i, j] = queue[k];
+      const [x, y] = [stats[j], stats[i]];
+      cancel = startJob("posteriorDensity", [mcmc.samples, {
+        gridSize: 40,
+        bandwidth,
+        fractions: CREDIBLE_FRACTIONS,
+        xKey: x.spec.name,
+        yKey: y.spec.name,
+        weights: mcmc.weights,
+        bounds: [x.edges, y.edges],
+      }], {
+        onDone: (density) => {
+          setPairs((prev) => ({ ...prev, [`${i},${j}`]: density.contours }));
+          next(k + 1);
+        },
+        onError: (message) => {
+          cancel = null;
+          setDensityError(message);
+        },
+      });
+    };
+    next(0);
+    return () => cancel?.();
+  }, [mcmc, stats, bandwidth]);
+
+  const n = stats.length;
+  const width = MARGIN.left + n * PANEL + (n - 1) * GAP + MARGIN.right;
+  const height = MARGIN.top + n * PANEL + (n - 1) * GAP + MARGIN.bottom;
+  const boxAt = (row, col) => ({
+    left: MARGIN.left + col * (PANEL + GAP),
+    top: MARGIN.top + row * (PANEL + GAP),
+    width: PANEL,
+    height: PANEL,
+  });
+  const scale = ([lo, hi], a, b) => (v) => a + ((v - lo) / (hi - lo)) * (b - a);
+
+  const exportSVG = () => {
+    const text = serializeFigure(svgRef.current, width, height);
+    download("corner_plot.svg", new Blob([text], { type: "image/svg+xml" }));
+  };
+
+  const exportPNG = () => {
+    const text = serializeFigure(svgRef.current, width, height);
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * PNG_SCALE;
+      canvas.height = height * PNG_SCALE;
+      const ctx = canvas.getContext("2d");
+      ctx.scale(PNG_SCALE, PNG_SCALE);
+      ctx.drawImage(img, 0, 0, width, height);
+      canvas.toBlob((blob) => blob && download("corner_plot.png", blob), "image/png");
+    };
+    img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(text)}`;
+  };
+
+  const pending = stats.length * (stats.length - 1) / 2 - Object.keys(pairs).length;
+  const fmt = (v) => (Math.abs(v) >= 100 || (Math.abs(v) < 0.01 && v !== 0) ? v.toExponential(2) : v.toFixed(3));
+
+  return (
+    <div>
+      <div className="row" style={{ justifyContent: "flex-end" }}>
+        {(densityError || pending > 0) && (
+          <span className="badge">
+            {densityError ? <AlertCircle size={16} /> : <Loader2 size={16} className="spin" />}
+            {densityError || `Computing densities (${pending} left)`}
+          </span>
+        )}
+        <button className="btn" onClick={exportSVG}><Download size={16} /> SVG</button>
+        <button className="btn" onClick={exportPNG}><Download size={16} /> PNG</button>
+      </div>
+
+      <svg ref={svgRef} viewBox={`0 0 ${width} ${height}`} style={{ width: "100%", maxWidth: Math.max(width, 520), height: "auto" }}
+        role="img" aria-label="Corner plot of the posterior">
+        {stats.map((row, i) =>
+          stats.slice(0, i + 1).map((col, j) => {
+            const box = boxAt(i, j);
+            const sx = scale(col.spec.range, box.left, box.left + box.width);
+            const clipId = `corner-${i}-${j}`;
+            const frame = (
+              <rect x={box.left} y={box.top} width={box.width} height={box.height} fill="none" stroke="currentColor" strokeOpacity={0.4} />
+            );
+
+            if (i === j) {
+              const h = histogram1D(mcmc.samples, col.spec.name, { weights: mcmc.weights, range: col.spec.range, bins: 30 });
+              const peak = Math.max(...h.density) || 1;
+              const syH = (d) => box.top + box.height - (d / peak) * 0.92 * box.height;
+              let d = `M${sx(h.lo).toFixed(1)},${syH(0).toFixed(1)}`;
+              h.density.forEach((v, k) => {
+                d += `L${sx(h.lo + k * h.width).toFixed(1)},${syH(v).toFixed(1)}L${sx(h.lo + (k + 1) * h.width).toFixed(1)},${syH(v).toFixed(1)}`;
+              });
+              d += `L${sx(h.hi).toFixed(1)},${syH(0).toFixed(1)}`;
+              return (
+                <g key={clipId}>
+                  <path d={d} fill="none" stroke={HIST_COLOR} strokeWidth={1.5} />
+                  {col.quantiles.map((q, k) => (
+                    <line key={k} x1={sx(q)} x2={sx(q)} y1={box.top} y2={box.top + box.height} stroke="currentColor"
+                      strokeDasharray={k === 1 ? undefined : "4 3"} strokeOpacity={0.7} />
+                  ))}
+                  <text x={box.left + box.width / 2} y={box.top - 6} fontSize={10} fill="currentColor" textAnchor="middle">
+                    {`${col.spec.label} = ${col.median.toFixed(2)} −${col.minus.toFixed(2)} +${col.plus.toFixed(2)}`}
+                  </text>
+                  {frame}
+                  {i === n - 1 && (
+                    <AxisTicks xSpec={col.spec} ySpec={col.spec} sx={sx} sy={() => 0} box={box} showY={false} target={3} />
+                  )}
+                </g>
+              );
+            }
+
+            const sy = scale(row.spec.range, box.top + box.height, box.top);
+            return (
+              <g key={clipId}>
+                <defs>
+                  <clipPath id={clipId}>
+                    <rect x={box.left} y={box.top} width={box.width} height={box.height} />
+                  </clipPath>
+                </defs>
+                <g clipPath={`url(#${clipId})`}>
+                  <ContourLayer contours={pairs[`${i},${j}`] ?? []} sx={sx} sy={sy} showLabels={false} />
+                </g>
+                {frame}
+                <AxisTicks xSpec={col.spec} ySpec={row.spec} sx={sx} sy={sy} box={box}
+                  showX={i === n - 1} showY={j === 0} target={3} />
+              </g>
+            );
+          })
+        )}
+        {stats.map((s, k) => {
+          const box = boxAt(k, k);
+          return (
+            <g key={`title${k}`} fontSize={12} fill="currentColor" textAnchor="middle">
+              <text x={box.left + box.width / 2} y={height - 12}>{axisTitle(s.spec)}</text>
+              {k > 0 && (
+                <text x={14} y={box.top + box.height / 2} transform={`rotate(-90 14 ${box.top + box.height / 2})`}>
+                  {axisTitle(s.spec)}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+
+      <table style={{ marginTop: 12, width: "100%", borderCollapse: "collapse", fontVariantNumeric: "tabular-nums" }}>
+        <thead>
+          <tr className="muted" style={{ textAlign: "right" }}>
+            <th style={{ textAlign: "left" }}>Parameter</th>
+            <th>Median</th>
+            <th>−1σ</th>
+            <th>+1σ</th>
+            <th>95% upper limit</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stats.map((s) => (
+            <tr key={s.spec.name} style={{ textAlign: "right" }}>
+              <td style={{ textAlign: "left" }}>{s.spec.label}</td>
+              <td>{fmt(s.median)}</td>
+              <td>{fmt(s.minus)}</td>
+              <td>{fmt(s.plus)}</td>
+              <td>{fmt(s.ul95)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -8,9 +8,6 @@ import {
   Tooltip,
   Legend,
   ResponsiveContainer,
-  ScatterChart,
-  Scatter,
-  ReferenceLine,
 } from "recharts";
 
 import {
@@ -21,12 +18,53 @@ import {
   Loader2,
   Settings,
   ExternalLink,
+  Pause,
+  Square,
+  Camera,
+  Dices,
+  Trash2,
+  Upload,
 } from "lucide-react";
 
-import { buildCosmologyCache, calculateOmegaGW } from "../lib/physics.js";
+import { buildCosmologyCache, DEFAULT_COSMOLOGY, resolveCosmology } from "../lib/physics.js";
+import { DEFAULT_EMISSION_WEIGHTS, EMISSION_SPECTRA } from "../lib/emission.js";
+import { LOOP_MODELS } from "../lib/loops.js";
 import { loadPTALimitsJSON } from "../lib/ptaData.js";
+import { PULSAR_CORRELATIONS } from "../lib/pulsarArray.js";
 import { loadLISAJSON } from "../lib/lisaData.js";
-import { kde2D, findCredibleLevels } from "../lib/analysis.js";
+import { createLISANoiseModel } from "../lib/lisaNoise.js";
+import { noiseBins, sensitivityCurve } from "../lib/sensitivity.js";
+import { KDE_BANDWIDTHS } from "../lib/analysis.js";
+import {
+  DEFAULT_PARAMETERS,
+  PARAMETER_LIBRARY,
+  TRANSFORMS,
+  createModel,
+  inComponents,
+  parameterRange,
+  priorEdges,
+  toPhysical,
+} from "../lib/model.js";
+import { DEFAULT_SGWB_MODELS, SGWB_MODELS, sgwbOmega } from "../lib/sgwbModels.js";
+import { PRIOR_TYPES, defaultPriorOfType, priorAllowed, validatePrior } from "../lib/priors.js";
+import { TAU_SAFETY_FACTOR } from "../lib/diagnostics.js";
+import { SAMPLERS, runSampler } from "../lib/samplers.js";
+import { DEFAULT_MOVE_WEIGHTS, MOVES } from "../lib/moves.js";
+import { normalizeSeed, randomSeed } from "../lib/rng.js";
+import {
+  checkpointsAvailable,
+  createRunId,
+  deleteRun,
+  listRuns,
+  saveRun,
+  updateRun,
+} from "../lib/checkpoints.js";
+import { createMCMCPool, defaultPoolSize } from "../workers/mcmcPool.js";
+import { startJob } from "../workers/jobs.js";
+import { LIMIT_METHODS, parsePublishedBounds, posteriorUpperLimits } from "../lib/limits.js";
+import SNRHeatmap from "./SNRHeatmap.jsx";
+import ContourPlot from "./ContourPlot.jsx";
+import CornerPlot from "./CornerPlot.jsx";
 
 function downloadText(filename, text, mime = "text/plain") {
   const blob = new Blob([text], { type: mime });
@@ -40,6 +78,89 @@ function downloadText(filename, text, mime = "text/plain") {
   URL.revokeObjectURL(url);
 }
 
+// JSON-safe view of a sampler result (typed-array chains become plain arrays).
+function mcmcPayload(mcmc) {
+  return {
+    parameters: mcmc.parameters,
+    components: mcmc.components,
+    samples: mcmc.samples,
+    weights: mcmc.weights ?? null,
+    logProbs: mcmc.logProbs,
+    acceptanceRate: mcmc.acceptanceRate,
+    diagnostics: mcmc.diagnostics,
+    nSteps: mcmc.nSteps,
+    burnSteps: mcmc.burnSteps,
+    thin: mcmc.thin,
+    complete: mcmc.complete,
+    autoStop: mcmc.autoStop,
+    sampler: mcmc.sampler,
+    moveStats: mcmc.moveStats,
+    tempering: mcmc.tempering,
+    evidence: mcmc.evidence ?? null,
+    chains: mcmc.chains.map((c) => Array.from(c)),
+  };
+}
+
+/* Ensemble count and PRNG streams a result was sampled with; together with the
+ * seed they reproduce the samples (the pool size otherwise follows the CPU count).
+ */
+function runLayout(mcmc) {
+  const streams = mcmc.ensembles ? mcmc.ensembles.map((e) => e.stream) : [mcmc.stream ?? 0];
+  return { ensembles: streams.length, streams };
+}
+
+// [per-move acceptance, per-pair swap acceptance or null] from a result's counts.
+function acceptanceRates(mcmc) {
+  const rate = (accepted, proposed) => accepted / Math.max(1, proposed);
+  const moves = mcmc.moveStats
+    ? Object.fromEntries(Object.entries(mcmc.moveStats).map(([name, c]) => [name, rate(c.accepted, c.proposed)]))
+    : null;
+  const swaps = mcmc.tempering
+    ? mcmc.tempering.swapAccepted.map((a, k) => rate(a, mcmc.tempering.swapProposed[k]))
+    : null;
+  return [moves, swaps];
+}
+
+function parameterSpec(parameters, name) {
+  return parameters.find((p) => p.name === name);
+}
+
+// Credible regions drawn on posterior plots.
+const CREDIBLE_FRACTIONS = [0.68, 0.95];
+
+/* Worker-job options for the posterior density of a parameter pair: kernel
+ * from the chosen bandwidth rule, reflected at hard prior edges only (e.g.
+ * log10 P = 0, log10 Gmu = -15; not a Gaussian prior's display window);
+ * nested sampling results carry posterior weights.
+ */
+function densityOptions(mcmc, [xKey, yKey], bandwidth) {
+  return {
+    xKey,
+    yKey,
+    weights: mcmc.weights,
+    bandwidth,
+    bounds: [xKey, yKey].map((k) => priorEdges(parameterSpec(mcmc.parameters, k))),
+    fractions: CREDIBLE_FRACTIONS,
+  };
+}
+
+function priorError(prior, transform) {
+  try {
+    validatePrior(prior);
+    if (!priorAllowed(prior.type, transform)) return "Log-uniform on a log10 parameter: use Uniform instead";
+    return "";
+  } catch (e) {
+    return e?.message ?? String(e);
+  }
+}
+
+function parseNumberList(text) {
+  return text
+    .split(/[\s,;]+/)
+    .filter((s) => s.length > 0)
+    .map((s) => parseFloat(s));
+}
+
 function toCSV(rows, header) {
   const lines = [];
   lines.push(header.join(","));
@@ -49,14 +170,74 @@ function toCSV(rows, header) {
 
 const DEFAULT_SETTINGS = {
   nSteps: 1200,
+  autoStop: true,
+  maxSteps: 20000,
   nWalkers: 24,
   burnIn: 0.5,
   Nk: 40,
-  zMax: 8,
+  loopModel: "bos",
+  emission: "cusp",
+  emissionWeights: { ...DEFAULT_EMISSION_WEIGHTS },
+  emissionTable: "",
+  Gamma: 50,
+  zMax: 1e16,
+  nz: 1600,
   adaptiveTol: 1e-4,
   progressEvery: 50,
+  parameters: [...DEFAULT_PARAMETERS],
+  priors: {},
+  useEmulator: true,
+  nWorkers: defaultPoolSize(),
+  seed: randomSeed(),
+  checkpointEvery: 500,
+  sampler: "ensemble",
+  moves: { ...DEFAULT_MOVE_WEIGHTS },
+  stretchScale: 2,
+  deGammaScale: 1,
+  walkSubset: 3,
+  nTemps: 4,
+  maxTemp: 50,
+  nLive: 250,
+  dlogz: 0.1,
+  nBatches: 3,
+  components: [...DEFAULT_SGWB_MODELS],
+  pulsarCorrelations: "hd",
+  lisaSource: "analytic",
+  lisaDuration: 4,
+  lisaChannels: "AE",
+  lisaForeground: true,
+  sensitivitySNR: 1,
+  ptaObservationYears: null,
+  limitMethod: "posterior",
+  limitLevel: 0.95,
+  showPublishedBounds: false,
+  kdeBandwidth: "scott",
+  cosmology: { ...DEFAULT_COSMOLOGY },
 };
 
+const COMPONENT_COLORS = {
+  strings: "#60a5fa",
+  smbhb: "#f472b6",
+  brokenPowerLaw: "#a3e635",
+  phaseTransition: "#fbbf24",
+};
+
+// Spectrum charts span nHz to Hz: log10 f from -10 to 0 in thirds of a decade.
+const BROADBAND_LOG_F = Array.from({ length: 31 }, (_, i) => -10 + i / 3);
+
+const SENSITIVITY_COLORS = { pliPTA: "#34d399", pliLISA: "#c084fc" };
+
+const BOUND_COLORS = ["#f472b6", "#fbbf24", "#a3e635", "#22d3ee"];
+
+const COSMOLOGY_FIELDS = [
+  { key: "H0", label: "H0 [km/s/Mpc]", step: 0.1 },
+  { key: "Omega_m", label: "Omega_m", step: 0.001 },
+  { key: "Omega_r", label: "Omega_r", step: 1e-6 },
+  { key: "Omega_Lambda", label: "Omega_Lambda", step: 0.001 },
+  { key: "w0", label: "w0 (CPL)", step: 0.01 },
+  { key: "wa", label: "wa (CPL)", step: 0.01 },
+];
+
 export default function CosmicSuperstringAnalysis() {
   const [stage, setStage] = useState("setup");
   const [progress, setProgress] = useState({ step: 0, totalSteps: DEFAULT_SETTINGS.nSteps, acceptanceRate: 0 });
@@ -72,10 +253,61 @@ export default function CosmicSuperstringAnalysis() {
   const [showSettings, setShowSettings] = useState(false);
   const [settings, setSettings] = useState(DEFAULT_SETTINGS);
 
-  const [logGmuPreview, setLogGmuPreview] = useState(-11.0);
-  const [logPPreview, setLogPPreview] = useState(-2.0);
+  const [kdePair, setKdePair] = useState(["logGmu", "logP"]);
+  // { ensembles, streams, seed } from an imported results file, used by the next run
+  const [rerun, setRerun] = useState(null);
+  const [kdeBusy, setKdeBusy] = useState(false);
+  const [kdeError, setKdeError] = useState("");
+  const kdeCancelRef = useRef(null);
+
+  useEffect(() => () => kdeCancelRef.current?.(), []);
+
+  const cancelDensity = () => {
+    kdeCancelRef.current?.();
+    kdeCancelRef.current = null;
+    setKdeBusy(false);
+  };
+
+  // Posterior density in a worker; the plot keeps the previous contours until it finishes.
+  const computeDensity = (mcmc, pair, bandwidth, onDone) => {
+    kdeCancelRef.current?.();
+    setKdeError("");
+    setKdeBusy(true);
+    const finish = () => {
+      kdeCancelRef.current = null;
+      setKdeBusy(false);
+    };
+    kdeCancelRef.current = startJob("posteriorDensity", [mcmc.samples, densityOptions(mcmc, pair, bandwidth)], {
+      onDone: (density) => {
+        finish();
+        onDone(density);
+      },
+      onError: (message) => {
+        finish();
+        setKdeError(message);
+        onDone(null);
+      },
+    });
+  };
+
+  // Spectrum preview point, one value per library parameter (required ones get sliders)
+  const [preview, setPreview] = useState(() =>
+    Object.fromEntries(Object.entries(PARAMETER_LIBRARY).map(([name, p]) => [name, p.init[0]]))
+  );
+
+  const poolRef = useRef(null);
+  const [runs, setRuns] = useState([]);
+  const [activeRunId, setActiveRunId] = useState(null);
+  const [checkpointStep, setCheckpointStep] = useState(null);
+  const [extendSteps, setExtendSteps] = useState(2000);
 
-  const workerRef = useRef(null);
+  const refreshRuns = () => {
+    if (!checkpointsAvailable()) return;
+    listRuns().then(setRuns, () => setRuns([]));
+  };
+  useEffect(refreshRuns, []);
+  const [paused, setPaused] = useState(false);
+  const [snapshot, setSnapshot] = useState(null);
 
   // Parallax
   const [scrollY, setScrollY] = useState(0);
@@ -94,19 +326,23 @@ export default function CosmicSuperstringAnalysis() {
   }, []);
 
   useEffect(() => {
-    buildCosmologyCache(settings.zMax, 600);
-  }, [settings.zMax]);
+    try {
+      buildCosmologyCache(settings.zMax, settings.nz, settings.cosmology);
+    } catch (e) {
+      setErrorMsg(e?.message ?? String(e));
+    }
+  }, [settings.zMax, settings.nz, settings.cosmology]);
 
   useEffect(() => {
     try {
-      workerRef.current = new Worker(new URL("../workers/mcmcWorker.js", import.meta.url), { type: "module" });
+      poolRef.current = createMCMCPool(Math.min(settings.nWorkers, defaultPoolSize()));
     } catch {
-      workerRef.current = null;
+      poolRef.current = null;
     }
     return () => {
-      if (workerRef.current) workerRef.current.terminate();
+      if (poolRef.current) poolRef.current.terminate();
     };
-  }, []);
+  }, [settings.nWorkers]);
 
   // Load PTA catalog once
   useEffect(() => {
@@ -128,159 +364,612 @@ export default function CosmicSuperstringAnalysis() {
   }, []);
 
   const physicsOptions = useMemo(
-    () => ({ Nk: settings.Nk, zMax: settings.zMax, adaptiveTol: settings.adaptiveTol, nz: 600 }),
-    [settings.Nk, settings.zMax, settings.adaptiveTol]
+    () => ({
+      Nk: settings.Nk,
+      loopModel: settings.loopModel,
+      emission: settings.emission,
+      emissionWeights: settings.emissionWeights,
+      emissionTable: settings.emission === "table" ? parseNumberList(settings.emissionTable) : undefined,
+      Gamma: settings.Gamma,
+      zMax: settings.zMax,
+      adaptiveTol: settings.adaptiveTol,
+      nz: settings.nz,
+      cosmology: settings.cosmology,
+    }),
+    [
+      settings.Nk,
+      settings.loopModel,
+      settings.emission,
+      settings.emissionWeights,
+      settings.emissionTable,
+      settings.Gamma,
+      settings.zMax,
+      settings.adaptiveTol,
+      settings.nz,
+      settings.cosmology,
+    ]
   );
 
+  const setCosmologyParam = (key, value) => {
+    if (!Number.isFinite(value)) return;
+    setSettings((s) => ({ ...s, cosmology: { ...s.cosmology, [key]: value } }));
+  };
+
   const loadPTAFromCatalog = async () => {
+    const loadOpts = { cosmology: settings.cosmology, correlations: settings.pulsarCorrelations };
     if (!ptaCatalog || !ptaDatasetId) {
-      const data = await loadPTALimitsJSON("/data/pta_limits_example.json");
+      const data = await loadPTALimitsJSON("/data/pta_limits_example.json", loadOpts);
       setPtaData(data);
       return data;
     }
     const ds = (ptaCatalog.datasets || []).find((d) => d.id === ptaDatasetId);
     const path = ds?.path ?? "/data/pta_limits_example.json";
-    const data = await loadPTALimitsJSON(path);
+    const data = await loadPTALimitsJSON(path, loadOpts);
     setPtaData(data);
     return data;
   };
 
+  // Sh/hc limits are converted to Omega_GW with H0, so refresh them on cosmology edits;
+  // pulsar arrays rebuild their overlap matrix when the correlations change
+  useEffect(() => {
+    if (ptaData) loadPTAFromCatalog().catch((e) => setErrorMsg(e?.message ?? String(e)));
+  }, [settings.cosmology, settings.pulsarCorrelations]);
+
+  // Message for an unusable cosmology (e.g. H0 <= 0), "" when it resolves
+  const cosmologyError = useMemo(() => {
+    try {
+      resolveCosmology(settings.cosmology);
+      return "";
+    } catch (e) {
+      return e?.message ?? String(e);
+    }
+  }, [settings.cosmology]);
+
+  // Analytic LISA model for the current settings (null when the toy JSON overrides it)
+  const [lisaModel, lisaModelError] = useMemo(() => {
+    if (settings.lisaSource !== "analytic") return [null, ""];
+    try {
+      const model = createLISANoiseModel(
+        {
+          durationYears: settings.lisaDuration,
+          channels: settings.lisaChannels.split(""),
+          foreground: settings.lisaForeground,
+        },
+        { cosmology: settings.cosmology }
+      );
+      return [model, ""];
+    } catch (e) {
+      return [null, e?.message ?? String(e)];
+    }
+  }, [settings.lisaSource, settings.lisaDuration, settings.lisaChannels, settings.lisaForeground, settings.cosmology]);
+
   const ensureLISA = async () => {
-    if (lisaData) return lisaData;
-    const data = await loadLISAJSON("/data/lisa_noise_toy.json");
-    setLisaData(data);
-    return data;
+    if (settings.lisaSource === "toy") {
+      if (lisaData && lisaData.likelihood !== "whittle") return lisaData;
+      const data = await loadLISAJSON("/data/lisa_noise_toy.json");
+      setLisaData(data);
+      return data;
+    }
+    if (!lisaModel) throw new Error(lisaModelError);
+    setLisaData(lisaModel);
+    return lisaModel;
   };
 
-  const spectrumData = useMemo(() => {
-    if (!ptaData) return [];
-    const Gmu = Math.pow(10, logGmuPreview);
-    const P = Math.pow(10, logPPreview);
+  // Datasets with a noise model: the loaded PTA data and the LISA model (or toy JSON once loaded)
+  const noiseSources = useMemo(
+    () =>
+      [
+        { key: "pliPTA", label: "PTA", data: ptaData, observationYears: settings.ptaObservationYears },
+        { key: "pliLISA", label: "LISA", data: lisaModel ?? (lisaData?.likelihood !== "whittle" ? lisaData : null) },
+      ].filter((s) => s.data),
+    [ptaData, lisaModel, lisaData, settings.ptaObservationYears]
+  );
 
-    const out = [];
-    for (let i = 0; i < ptaData.frequencies.length; i++) {
-      const f = ptaData.frequencies[i];
-      const model = calculateOmegaGW(f, Gmu, P, physicsOptions);
-      const limit = ptaData.upperLimits[i];
-
-      out.push({
-        logFreq: Math.log10(f),
-        logOmegaModel: Math.log10(Math.max(model, 1e-60)),
-        logOmegaLimit: Math.log10(Math.max(limit, 1e-60)),
+  // PLI sensitivity curves of those datasets
+  const [sensitivityCurves, sensitivityError] = useMemo(() => {
+    try {
+      const curves = noiseSources.map((s) => ({
+        ...s,
+        curve: sensitivityCurve(s.data, { snr: settings.sensitivitySNR, observationYears: s.observationYears }),
+      }));
+      return [curves, ""];
+    } catch (e) {
+      return [[], e?.message ?? String(e)];
+    }
+  }, [noiseSources, settings.sensitivitySNR]);
+
+  // Detectability map over (Gmu, P), computed in its own worker
+  const [snrMap, setSnrMap] = useState(null);
+  const [snrMapKey, setSnrMapKey] = useState("combined");
+  const [snrProgress, setSnrProgress] = useState(null);
+  const [snrError, setSnrError] = useState("");
+  const snrCancelRef = useRef(null);
+
+  useEffect(() => () => snrCancelRef.current?.(), []);
+
+  const computeSNR = () => {
+    snrCancelRef.current?.();
+    setSnrError("");
+    let sources;
+    try {
+      sources = noiseSources.map(({ key, label, data, observationYears }) => ({
+        key,
+        label,
+        bins: noiseBins(data, { observationYears }),
+      }));
+    } catch (e) {
+      setSnrError(e?.message ?? String(e));
+      return;
+    }
+    const options = {
+      logGmuRange: parameterRange("logGmu", safePrior("logGmu")),
+      logPRange: parameterRange("logP", safePrior("logP")),
+      useEmulator: settings.useEmulator,
+    };
+    setSnrProgress({ phase: "emulator", step: 0, totalSteps: 1 });
+    const finish = () => {
+      snrCancelRef.current = null;
+      setSnrProgress(null);
+    };
+    snrCancelRef.current = startJob("snrMap", [sources, physicsOptions, options], {
+      onProgress: setSnrProgress,
+      onDone: (result) => {
+        finish();
+        setSnrMap(result);
+        if (!result.maps.some((m) => m.key === snrMapKey)) setSnrMapKey(result.maps[0].key);
+      },
+      onError: (message) => {
+        finish();
+        setSnrError(message);
+      },
+    });
+  };
+
+  const cancelSNR = () => {
+    snrCancelRef.current?.();
+    snrCancelRef.current = null;
+    setSnrProgress(null);
+  };
+
+  // Exclusion curve log10 Gmu_95(P): from the samples, or a profile likelihood computed in a worker
+  const [profileLimits, setProfileLimits] = useState(null);
+  const [profileProgress, setProfileProgress] = useState(null);
+  const [profileError, setProfileError] = useState("");
+  const [publishedBounds, setPublishedBounds] = useState(null);
+  const [boundsError, setBoundsError] = useState("");
+  const profileCancelRef = useRef(null);
+
+  useEffect(() => () => profileCancelRef.current?.(), []);
+
+  const [posteriorLimits, posteriorLimitsError] = useMemo(() => {
+    if (!results || settings.limitMethod !== "posterior") return [null, ""];
+    try {
+      const logPRange = parameterSpec(results.mcmc.parameters, "logP")?.range;
+      const curve = posteriorUpperLimits(results.mcmc.samples, {
+        weights: results.mcmc.weights,
+        level: settings.limitLevel,
+        logPRange,
       });
+      return [curve, ""];
+    } catch (e) {
+      return [null, e?.message ?? String(e)];
+    }
+  }, [results, settings.limitMethod, settings.limitLevel]);
+
+  const exclusion = settings.limitMethod === "posterior" ? posteriorLimits : profileLimits;
+  const exclusionError = settings.limitMethod === "posterior" ? posteriorLimitsError : profileError;
+
+  const computeProfileLimits = () => {
+    if (!ptaData) return;
+    profileCancelRef.current?.();
+    setProfileError("");
+    setProfileLimits(null);
+    const options = {
+      parameters: settings.parameters,
+      priors: settings.priors,
+      components: settings.components,
+      physicsOptions,
+      lisaData: useLISA ? lisaData : null,
+      useLISA: useLISA && !!lisaData,
+      useEmulator: settings.useEmulator,
+      level: settings.limitLevel,
+    };
+    setProfileProgress({ phase: "profile", step: 0, totalSteps: 1 });
+    const finish = () => {
+      profileCancelRef.current = null;
+      setProfileProgress(null);
+    };
+    profileCancelRef.current = startJob("profileLimits", [ptaData, options], {
+      onProgress: setProfileProgress,
+      onDone: (result) => {
+        finish();
+        setProfileLimits(result);
+      },
+      onError: (message) => {
+        finish();
+        setProfileError(message);
+      },
+    });
+  };
+
+  const cancelProfileLimits = () => {
+    profileCancelRef.current?.();
+    profileCancelRef.current = null;
+    setProfileProgress(null);
+  };
+
+  // Overlay curves come from a user-chosen JSON file (format in limits.js); none ship with the app.
+  const loadBoundsFile = async (file) => {
+    if (!file) return;
+    setBoundsError("");
+    try {
+      setPublishedBounds(parsePublishedBounds(JSON.parse(await file.text())));
+      setSettings((s) => ({ ...s, showPublishedBounds: true }));
+    } catch (e) {
+      setBoundsError(`${file.name}: ${e?.message ?? e}`);
+    }
+  };
+
+  const exclusionData = useMemo(() => {
+    const rows = [];
+    for (const p of exclusion?.points ?? []) if (p.logGmu !== null) rows.push({ logP: p.logP, logGmuLimit: p.logGmu });
+    if (settings.showPublishedBounds && publishedBounds) {
+      publishedBounds.bounds.forEach((b, i) => b.points.forEach((p) => rows.push({ logP: p.logP, [`bound${i}`]: p.logGmu })));
+    }
+    return rows.sort((a, b) => a.logP - b.logP);
+  }, [exclusion, publishedBounds, settings.showPublishedBounds]);
+
+  // Preview model: the required parameters of the selected components
+  const previewModel = useMemo(() => createModel([], {}, settings.components), [settings.components]);
+
+  const [spectrumData, spectrumError] = useMemo(() => {
+    if (!ptaData) return [[], ""];
+    const { components } = previewModel;
+
+    // Rows sit at different frequencies (broadband model, PTA bins, curve grids);
+    // each chart line only has values on its own rows.
+    const out = [];
+    try {
+      const theta = Float64Array.from(previewModel.parameters, (p) => preview[p.name]);
+      const params = toPhysical(previewModel, theta, physicsOptions);
+      const modelRow = (f) => {
+        const parts = {};
+        const model = sgwbOmega(f, params, physicsOptions, components, parts);
+        const row = { logFreq: Math.log10(f), logOmegaModel: Math.log10(Math.max(model, 1e-60)) };
+        for (const c of components) row[c] = Math.log10(Math.max(parts[c], 1e-60));
+        return row;
+      };
+      for (const logF of BROADBAND_LOG_F) out.push(modelRow(Math.pow(10, logF)));
+      for (let i = 0; i < ptaData.frequencies.length; i++) {
+        out.push({
+          ...modelRow(ptaData.frequencies[i]),
+          logOmegaLimit: Math.log10(Math.max(ptaData.upperLimits[i], 1e-60)),
+        });
+      }
+      for (const { key, curve } of sensitivityCurves) {
+        curve.frequencies.forEach((f, i) => out.push({ logFreq: Math.log10(f), [key]: Math.log10(curve.omega[i]) }));
+      }
+    } catch (e) {
+      return [[], e?.message ?? String(e)];
     }
-    return out;
-  }, [ptaData, logGmuPreview, logPPreview, physicsOptions]);
+    out.sort((a, b) => a.logFreq - b.logFreq);
+    return [out, ""];
+  }, [ptaData, preview, previewModel, physicsOptions, sensitivityCurves]);
 
   const runAnalysis = async () => {
     setErrorMsg("");
+    cancelDensity();
     setResults(null);
     setStage("loading");
 
-    const data = await loadPTAFromCatalog();
+    let data;
     let lisa = null;
-    if (useLISA) lisa = await ensureLISA();
+    try {
+      data = await loadPTAFromCatalog();
+      if (useLISA) lisa = await ensureLISA();
+    } catch (e) {
+      setErrorMsg(e?.message ?? String(e));
+      setStage("error");
+      return;
+    }
 
     setStage("mcmc");
-    setProgress({ step: 0, totalSteps: settings.nSteps, acceptanceRate: 0 });
+    setProgress({ step: 0, totalSteps: settings.autoStop ? settings.maxSteps : settings.nSteps, acceptanceRate: 0 });
 
-    const worker = workerRef.current;
-    if (!worker) {
-      const { runEnsembleMCMC } = await import("../lib/mcmc.js");
-      const mcmc = runEnsembleMCMC(
-        data,
-        {
-          nSteps: settings.nSteps,
-          nWalkers: settings.nWalkers,
-          burnIn: settings.burnIn,
-          physicsOptions,
-          progressEvery: settings.progressEvery,
-          lisaData: lisa,
-          useLISA: useLISA
-        },
-        (p) => setProgress(p)
-      );
+    const mcmcOptions = {
+      nSteps: settings.nSteps,
+      autoStop: settings.autoStop,
+      maxSteps: settings.maxSteps,
+      nWalkers: settings.nWalkers,
+      burnIn: settings.burnIn,
+      physicsOptions,
+      progressEvery: settings.progressEvery,
+      parameters: settings.parameters,
+      priors: settings.priors,
+      lisaData: lisa,
+      useLISA: useLISA,
+      useEmulator: settings.useEmulator,
+      seed: normalizeSeed(settings.seed),
+      sampler: settings.sampler,
+      moves: settings.moves,
+      stretchScale: settings.stretchScale,
+      deGammaScale: settings.deGammaScale,
+      walkSubset: settings.walkSubset,
+      nTemps: settings.nTemps,
+      maxTemp: settings.maxTemp,
+      nLive: settings.nLive,
+      dlogz: settings.dlogz,
+      nBatches: settings.nBatches,
+      components: settings.components,
+    };
 
-      setStage("analyzing");
-      const kde = kde2D(mcmc.samples, 60, 0.18);
-      const levels = findCredibleLevels(kde.densityGrid);
+    let pool = poolRef.current;
+    const layout = rerun ?? { ensembles: pool?.size ?? 1, streams: null };
+    setRerun(null);
+    if (!pool) {
+      if (layout.ensembles > 1) {
+        setErrorMsg(`This run needs ${layout.ensembles} Web Workers, which are unavailable here.`);
+        setStage("error");
+        return;
+      }
+      const mcmc = runSampler(data, { ...mcmcOptions, stream: layout.streams?.[0] ?? 0 }, (p) => setProgress(p));
+      showResults(mcmc);
+      return;
+    }
+    if (pool.size < layout.ensembles) {
+      // reproducing an export from a machine with more cores: same ensembles, just slower
+      pool.terminate();
+      pool = poolRef.current = createMCMCPool(layout.ensembles);
+    }
+    const { ensembles, streams } = layout;
 
-      setResults({ mcmc, kde, levels });
-      setStage("complete");
+    // Nested sampling keeps no resumable state.
+    if (!checkpointsAvailable() || !SAMPLERS[settings.sampler].checkpoints) {
+      startPoolRun(data, mcmcOptions, ensembles, null, streams);
       return;
     }
 
-    const onMessage = (ev) => {
-      const msg = ev.data;
-      if (msg?.type === "PROGRESS") setProgress(msg.progress);
-      else if (msg?.type === "DONE") {
-        worker.removeEventListener("message", onMessage);
-
-        const mcmc = msg.result;
-        setStage("analyzing");
-        const kde = kde2D(mcmc.samples, 60, 0.18);
-        const levels = findCredibleLevels(kde.densityGrid);
-
-        setResults({ mcmc, kde, levels });
-        setStage("complete");
-      } else if (msg?.type === "ERROR") {
-        worker.removeEventListener("message", onMessage);
-        setErrorMsg(msg.message ?? "Worker error");
-        setStage("error");
-      }
+    const runId = createRunId();
+    const runOptions = { ...mcmcOptions, runId, checkpointEvery: settings.checkpointEvery };
+    try {
+      await saveRun({
+        id: runId,
+        status: "running",
+        label: `${data.name ?? "PTA"} · ${settings.parameters.join(", ")}`,
+        ptaData: data,
+        options: runOptions,
+        ensembles,
+        streams,
+        settings,
+      });
+      startPoolRun(data, runOptions, ensembles, runId, streams);
+    } catch {
+      // e.g. storage disabled or full: run without checkpoints
+      startPoolRun(data, mcmcOptions, ensembles, null, streams);
+    }
+  };
+
+  // Runs on the worker pool; runId (if any) is the IndexedDB run record kept in sync.
+  const startPoolRun = (data, options, ensembles, runId, streams = null) => {
+    const pool = poolRef.current;
+    setCheckpointStep(null);
+    setActiveRunId(runId);
+    const markRun = (patch) => {
+      if (runId) updateRun(runId, patch).then(refreshRuns, () => {});
     };
 
-    worker.addEventListener("message", onMessage);
-    worker.postMessage({
-      type: "RUN",
-      ptaData: data,
-      options: {
-        nSteps: settings.nSteps,
-        nWalkers: settings.nWalkers,
-        burnIn: settings.burnIn,
-        physicsOptions,
-        progressEvery: settings.progressEvery,
-        lisaData: lisa,
-        useLISA: useLISA
+    pool.run(
+      data,
+      options,
+      {
+        onProgress: setProgress,
+        onPaused: (isPaused) => {
+          setPaused(isPaused);
+          markRun({ status: isPaused ? "paused" : "running" });
+        },
+        onSnapshot: setSnapshot,
+        onCheckpoint: (i, { step, error }) => {
+          if (i === 0) setCheckpointStep(error ? `failed (${error})` : step);
+        },
+        onDone: (mcmc, { cancelled }) => {
+          setPaused(false);
+          setSnapshot(null);
+          setActiveRunId(null);
+          markRun({
+            status: cancelled ? "cancelled" : "complete",
+            summary: mcmc
+              ? { nSteps: mcmc.nSteps, samples: mcmc.samples.length, acceptanceRate: mcmc.acceptanceRate, seed: mcmc.seed }
+              : null,
+          });
+          // A run cancelled before its first step has nothing to show.
+          if (mcmc?.samples.length) showResults(mcmc);
+          else setStage("setup");
+        },
+        onError: (message) => {
+          setPaused(false);
+          setSnapshot(null);
+          setActiveRunId(null);
+          markRun({ status: "error" });
+          setErrorMsg(message);
+          setStage("error");
+        },
       },
+      ensembles,
+      streams
+    );
+  };
+
+  // Continue a stored run from its checkpoints; extendBy > 0 adds that many steps per ensemble.
+  const resumeRun = async (record, extendBy = 0) => {
+    const pool = poolRef.current;
+    if (!pool) return;
+    if (record.ensembles > pool.size) {
+      setErrorMsg(`Run ${record.id} used ${record.ensembles} workers; raise "Parallel ensembles" to resume it.`);
+      setStage("error");
+      return;
+    }
+
+    setErrorMsg("");
+    cancelDensity();
+    setResults(null);
+    setPtaData(record.ptaData);
+    setStage("mcmc");
+    setProgress({ step: 0, totalSteps: 0, acceptanceRate: 0 });
+    try {
+      await updateRun(record.id, { status: "running" });
+      refreshRuns();
+    } catch {
+      // only the history status is stale; storage errors while loading the checkpoints end the run
+    }
+    startPoolRun(record.ptaData, { ...record.options, resume: true, extendBy }, record.ensembles, record.id, record.streams ?? null);
+  };
+
+  const removeRun = async (id) => {
+    try {
+      await deleteRun(id);
+    } catch (e) {
+      setErrorMsg(`Could not delete run ${id}: ${e?.message ?? e}`);
+      setStage("error");
+    }
+    refreshRuns();
+  };
+
+  const showResults = (mcmc) => {
+    setStage("analyzing");
+    const pair = mcmc.parameters.slice(0, 2).map((p) => p.name);
+    setKdePair(pair);
+    computeDensity(mcmc, pair, settings.kdeBandwidth, (density) => {
+      setResults({ mcmc, kde: null, levels: null, contours: [], ...density });
+      setStage("complete");
     });
   };
 
+  // CANCEL / PAUSE / RESUME / SNAPSHOT; replies arrive through the pool handlers.
+  const controlRun = (type) => {
+    if (poolRef.current) poolRef.current.control(type);
+  };
+
+  const exportSnapshotJSON = () => {
+    if (!snapshot) return;
+    const payload = {
+      meta: { createdAt: new Date().toISOString(), seed: snapshot.seed, ...runLayout(snapshot), settings, partial: true },
+      mcmc: mcmcPayload(snapshot),
+    };
+    downloadText("cosmic_superstring_snapshot.json", JSON.stringify(payload, null, 2), "application/json");
+  };
+
   const exportResultsJSON = () => {
     if (!results) return;
     const payload = {
       meta: {
         createdAt: new Date().toISOString(),
+        seed: results.mcmc.seed,
+        ...runLayout(results.mcmc),
         settings,
+        ptaDatasetId,
         ptaName: ptaData?.name ?? null,
         useLISA,
         lisaName: lisaData?.name ?? null
       },
-      mcmc: {
-        samples: results.mcmc.samples,
-        logProbs: results.mcmc.logProbs,
-        acceptanceRate: results.mcmc.acceptanceRate,
-      },
+      mcmc: mcmcPayload(results.mcmc),
       kde: results.kde,
       levels: results.levels,
     };
     downloadText("cosmic_superstring_results.json", JSON.stringify(payload, null, 2), "application/json");
   };
 
+  // Load seed, settings and ensemble layout from an exported results file for the next run.
+  const importRunFromExport = async (file) => {
+    if (!file) return;
+    try {
+      const { meta } = JSON.parse(await file.text());
+      if (!meta?.settings || meta.seed === undefined) throw new Error("Not an exported results file (meta.settings / meta.seed missing)");
+      const streams = Array.isArray(meta.streams) ? meta.streams : Array.from({ length: meta.ensembles ?? 1 }, (_, i) => i);
+      setSettings({ ...DEFAULT_SETTINGS, ...meta.settings, seed: meta.seed });
+      if (meta.ptaDatasetId) setPtaDatasetId(meta.ptaDatasetId);
+      setUseLISA(Boolean(meta.useLISA));
+      setRerun({ ensembles: streams.length, streams, seed: meta.seed });
+      setErrorMsg("");
+    } catch (e) {
+      setErrorMsg(`Could not load ${file.name}: ${e?.message ?? e}`);
+    }
+  };
+
   const exportSamplesCSV = () => {
     if (!results) return;
-    const rows = results.mcmc.samples.map((s) => ({
-      logGmu: Math.log10(s.Gmu),
-      logP: s.logP,
-      Gmu: s.Gmu,
-      P: Math.pow(10, s.logP),
-    }));
-    downloadText("mcmc_samples.csv", toCSV(rows, ["logGmu", "logP", "Gmu", "P"]), "text/csv");
+    const { parameters } = results.mcmc;
+    const { weights } = results.mcmc;
+    const header = parameters.map((p) => p.name);
+    for (const p of parameters) if (p.physical !== p.name) header.push(p.physical);
+    if (weights) header.push("weight");
+
+    const rows = results.mcmc.samples.map((s, i) => {
+      const row = { ...s };
+      if (weights) row.weight = weights[i];
+      for (const p of parameters) row[p.physical] = TRANSFORMS[p.transform](s[p.name]);
+      return row;
+    });
+    downloadText("mcmc_samples.csv", toCSV(rows, header), "text/csv");
   };
 
   const exportKDECSV = () => {
+    if (!results?.kde) return;
+    downloadText("kde_grid.csv", toCSV(results.kde.grid, [results.kde.xKey, results.kde.yKey, "density"]), "text/csv");
+  };
+
+  const exportExclusionCSV = () => {
+    if (!exclusion) return;
+    const extra = exclusion.method === "posterior" ? "ess" : "logGmuBest";
+    const rows = exclusion.points.map((p) => ({ logP: p.logP, logGmuLimit: p.logGmu ?? "", ess: p.n, logGmuBest: p.logGmuBest }));
+    downloadText(`exclusion_${exclusion.method}_${Math.round(exclusion.level * 100)}.csv`, toCSV(rows, ["logP", "logGmuLimit", extra]), "text/csv");
+  };
+
+  const selectKdeAxis = (axis, name) => {
     if (!results) return;
-    downloadText("kde_grid.csv", toCSV(results.kde.grid, ["logGmu", "logP", "density"]), "text/csv");
+    const pair = axis === 0 ? [name, kdePair[1]] : [kdePair[0], name];
+    if (pair[0] === pair[1]) return;
+    setKdePair(pair);
+    computeDensity(results.mcmc, pair, settings.kdeBandwidth, (density) => density && setResults((r) => r && { ...r, ...density }));
+  };
+
+  const selectKdeBandwidth = (bandwidth) => {
+    setSettings({ ...settings, kdeBandwidth: bandwidth });
+    if (results) computeDensity(results.mcmc, kdePair, bandwidth, (density) => density && setResults((r) => r && { ...r, ...density }));
+  };
+
+  const priorFor = (name) => settings.priors[name] ?? PARAMETER_LIBRARY[name].prior;
+
+  const setPrior = (name, prior) => {
+    setSettings((s) => ({ ...s, priors: { ...s.priors, [name]: prior } }));
+  };
+
+  const sampledNames = Object.keys(PARAMETER_LIBRARY).filter(
+    (name) =>
+      inComponents(name, settings.components) &&
+      (PARAMETER_LIBRARY[name].required || settings.parameters.includes(name))
+  );
+  const priorErrors = sampledNames.map((name) => priorError(priorFor(name), PARAMETER_LIBRARY[name].transform)).filter((e) => e);
+  // First setting that would make a run fail while loading, "" if none
+  const runBlocker = priorErrors.length > 0
+    ? `Fix prior settings before running: ${priorErrors[0]}`
+    : cosmologyError
+      ? `Fix the cosmology before running: ${cosmologyError}`
+      : useLISA && lisaModelError
+        ? `Fix the LISA settings before running: ${lisaModelError}`
+        : "";
+
+  const toggleComponent = (key, on) => {
+    setSettings((s) => {
+      const components = on ? [...s.components, key] : s.components.filter((c) => c !== key);
+      return components.length ? { ...s, components } : s;
+    });
+  };
+
+  const toggleParameter = (name, on) => {
+    setSettings((s) => ({
+      ...s,
+      parameters: on ? [...s.parameters, name] : s.parameters.filter((p) => p !== name),
+    }));
   };
 
   const heroUrl = `${import.meta.env.BASE_URL}hero.jpg`;
@@ -324,8 +1013,99 @@ body{margin:0;background:radial-gradient(1200px 700px at 30% -10%, rgba(96,165,2
 .kicker{display:flex;gap:10px;flex-wrap:wrap;margin-top:12px}
 .smallLink{display:inline-flex;align-items:center;gap:6px;padding:8px 10px;border-radius:999px;border:1px solid rgba(255,255,255,.16);background:rgba(0,0,0,.25);color:rgba(255,255,255,.85);font-weight:900}
 .smallLink:hover{background:rgba(255,255,255,.10);text-decoration:none}
+.diagTable{border-collapse:collapse;margin:10px auto 0;font-weight:800}
+.diagTable th,.diagTable td{padding:4px 12px;border-bottom:1px solid rgba(255,255,255,.10);text-align:right}
+.diagTable th:first-child,.diagTable td:first-child{text-align:left}
+.warn{color:#fbbf24;font-weight:900}
 `;
 
+  // Last valid prior for a parameter, so a half-edited spec never breaks the sliders.
+  const safePrior = (name) => (priorError(priorFor(name), PARAMETER_LIBRARY[name].transform) ? PARAMETER_LIBRARY[name].prior : priorFor(name));
+  const previewRanges = Object.fromEntries(
+    previewModel.parameters.map((p) => [p.name, parameterRange(p.name, safePrior(p.name))])
+  );
+
+  const limitLabel = {
+    freeSpectrum: "PTA 95% bound (free spectrum)",
+    pulsarArray: "PTA 95% bound per bin (mock array)",
+  }[ptaData?.likelihood] ?? "PTA Limit";
+
+  // Individual terms of a multi-component model, drawn under the total.
+  const renderComponentLines = () =>
+    previewModel.components.length > 1 &&
+    previewModel.components.map((c) => (
+      <Line key={c} type="monotone" dataKey={c} stroke={COMPONENT_COLORS[c]} strokeWidth={1.5} strokeDasharray="2 3"
+        name={SGWB_MODELS[c].label} dot={false} connectNulls />
+    ));
+
+  const renderSpectrumChart = (height) => (
+    <ResponsiveContainer width="100%" height={height}>
+      <LineChart data={spectrumData}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="logFreq" type="number" domain={[-10, 0]} ticks={[-10, -8, -6, -4, -2, 0]}
+          label={{ value: "log10 f [Hz]", position: "insideBottom", offset: -2 }} />
+        <YAxis domain={[-18, -4]} allowDataOverflow
+          label={{ value: "log10 Ω_GW", angle: -90, position: "insideLeft" }} />
+        <Tooltip />
+        <Legend />
+        <Line type="monotone" dataKey="logOmegaModel" strokeWidth={2} name="Model" dot={false} connectNulls />
+        {renderComponentLines()}
+        <Line type="monotone" dataKey="logOmegaLimit" strokeWidth={2} strokeDasharray="5 5" name={limitLabel}
+          dot={{ r: 2 }} connectNulls />
+        {sensitivityCurves.map(({ key, label, curve }) => (
+          <Line key={key} type="monotone" dataKey={key} stroke={SENSITIVITY_COLORS[key]} strokeWidth={1.5}
+            name={`${label} PLI (SNR ${settings.sensitivitySNR}, ${curve.observationYears?.toFixed(1) ?? "?"} yr)`}
+            dot={false} connectNulls />
+        ))}
+      </LineChart>
+    </ResponsiveContainer>
+  );
+
+  const renderPriorEditor = (name) => {
+    const prior = priorFor(name);
+    const type = PRIOR_TYPES[prior.type];
+    const err = priorError(prior, PARAMETER_LIBRARY[name].transform);
+    return (
+      <div key={name} className="card pad">
+        <div className="row" style={{ justifyContent: "space-between" }}>
+          <strong>{PARAMETER_LIBRARY[name].label}</strong>
+          <select className="input" style={{ width: "auto" }} value={prior.type}
+            onChange={(e) =>
+              setPrior(name, defaultPriorOfType(e.target.value, parameterRange(name, safePrior(name)), PARAMETER_LIBRARY[name].transform))
+            }>
+            {Object.entries(PRIOR_TYPES)
+              .filter(([id]) => id === prior.type || priorAllowed(id, PARAMETER_LIBRARY[name].transform))
+              .map(([id, t]) => (
+                <option key={id} value={id}>{t.label}</option>
+              ))}
+          </select>
+        </div>
+        <div className="row" style={{ marginTop: 8 }}>
+          {type.fields.map((field) =>
+            Array.isArray(prior[field]) ? (
+              <label key={`${prior.type}-${field}`} style={{ flex: "1 1 100%" }}>
+                <span className="muted" style={{ fontWeight: 900 }}>{field} (comma-separated)</span>
+                <input className="input" type="text" defaultValue={prior[field].join(", ")}
+                  onBlur={(e) => setPrior(name, { ...prior, [field]: parseNumberList(e.target.value) })} />
+              </label>
+            ) : (
+              <label key={`${prior.type}-${field}`} style={{ flex: "1 1 120px" }}>
+                <span className="muted" style={{ fontWeight: 900 }}>{field}</span>
+                <input className="input" type="number" value={Number.isFinite(prior[field]) ? prior[field] : ""}
+                  onChange={(e) => setPrior(name, { ...prior, [field]: parseFloat(e.target.value) })} />
+              </label>
+            )
+          )}
+        </div>
+        {err && (
+          <div className="muted" style={{ marginTop: 8, fontWeight: 800 }}>
+            <AlertCircle size={14} /> {err}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   const renderSetup = () => (
     <div className="card pad">
       <div className="h2">Dataset Controls</div>
@@ -343,7 +1123,20 @@ body{margin:0;background:radial-gradient(1200px 700px at 30% -10%, rgba(96,165,2
           </select>
         </div>
         <div>
-          <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Include LISA (toy demo)</div>
+          {ptaData?.likelihood === "pulsarArray" && (
+            <div style={{ marginBottom: 10 }}>
+              <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>
+                Inter-pulsar correlations ({ptaData.nPulsars} pulsars)
+              </div>
+              <select className="input" value={settings.pulsarCorrelations}
+                onChange={(e) => setSettings({ ...settings, pulsarCorrelations: e.target.value })}>
+                {Object.entries(PULSAR_CORRELATIONS).map(([key, spec]) => (
+                  <option key={key} value={key}>{spec.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Include LISA</div>
           <label className="badge" style={{ cursor: "pointer" }}>
             <input
               type="checkbox"
@@ -353,6 +1146,45 @@ body{margin:0;background:radial-gradient(1200px 700px at 30% -10%, rgba(96,165,2
             />
             Use LISA likelihood
           </label>
+          {useLISA && (
+            <div className="grid2" style={{ marginTop: 10 }}>
+              <div>
+                <div className="muted" style={{ fontWeight: 800 }}>LISA noise</div>
+                <select className="input" value={settings.lisaSource}
+                  onChange={(e) => setSettings({ ...settings, lisaSource: e.target.value })}>
+                  <option value="analytic">Analytic TDI model (Whittle)</option>
+                  <option value="toy">Toy forecast JSON (override)</option>
+                </select>
+              </div>
+              {settings.lisaSource === "analytic" && (
+                <>
+                  <div>
+                    <div className="muted" style={{ fontWeight: 800 }}>Mission duration [yr]</div>
+                    <input className="input" type="number" min="0.5" max="10" step="0.5"
+                      value={settings.lisaDuration}
+                      onChange={(e) => setSettings({ ...settings, lisaDuration: Number(e.target.value) })} />
+                  </div>
+                  <div>
+                    <div className="muted" style={{ fontWeight: 800 }}>TDI channels</div>
+                    <select className="input" value={settings.lisaChannels}
+                      onChange={(e) => setSettings({ ...settings, lisaChannels: e.target.value })}>
+                      <option value="AE">A + E</option>
+                      <option value="AET">A + E + T</option>
+                    </select>
+                  </div>
+                  <label className="badge" style={{ cursor: "pointer", alignSelf: "end" }}>
+                    <input
+                      type="checkbox"
+                      checked={settings.lisaForeground}
+                      onChange={(e) => setSettings({ ...settings, lisaForeground: e.target.checked })}
+                      style={{ marginRight: 8 }}
+                    />
+                    Galactic foreground
+                  </label>
+                </>
+              )}
+            </div>
+          )}
         </div>
       </div>
 
@@ -360,8 +1192,30 @@ body{margin:0;background:radial-gradient(1200px 700px at 30% -10%, rgba(96,165,2
 
       <div className="h2">Live Spectrum Preview</div>
       <div className="muted" style={{ fontWeight: 800 }}>
-        log10(Gmu)={logGmuPreview.toFixed(2)} &nbsp; log10(P)={logPPreview.toFixed(2)}
+        {previewModel.parameters.map((p) => `${p.label} = ${preview[p.name].toFixed(2)}`).join("   ")}
       </div>
+      <div className="grid2" style={{ marginTop: 10 }}>
+        <div>
+          <div className="muted" style={{ fontWeight: 800 }}>Detection SNR threshold (PLI curves, SNR map)</div>
+          <input className="input" type="number" min="0.1" step="0.5" value={settings.sensitivitySNR}
+            onChange={(e) => setSettings({ ...settings, sensitivitySNR: Number(e.target.value) })} />
+        </div>
+        <div>
+          <div className="muted" style={{ fontWeight: 800 }}>PTA observation time [yr] (blank = data span)</div>
+          <input className="input" type="number" min="1" step="1" value={settings.ptaObservationYears ?? ""}
+            onChange={(e) =>
+              setSettings({ ...settings, ptaObservationYears: e.target.value === "" ? null : Number(e.target.value) })
+            } />
+        </div>
+      </div>
+      {(sensitivityError || lisaModelError) && (
+        <div className="row" style={{ marginTop: 8 }}>
+          <span className="badge">
+            <AlertCircle size={16} />
+            {sensitivityError || lisaModelError}
+          </span>
+        </div>
+      )}
 
       {!ptaData ? (
         <div className="row" style={{ marginTop: 12 }}>
@@ -370,35 +1224,72 @@ body{margin:0;background:radial-gradient(1200px 700px at 30% -10%, rgba(96,165,2
             PTA data not loaded yet. Click “Load PTA + Preview” or run analysis to auto-load.
           </span>
         </div>
+      ) : spectrumError ? (
+        <div className="row" style={{ marginTop: 12 }}>
+          <span className="badge">
+            <AlertCircle size={16} />
+            {spectrumError}
+          </span>
+        </div>
       ) : (
         <div style={{ marginTop: 14 }}>
-          <ResponsiveContainer width="100%" height={280}>
-            <LineChart data={spectrumData}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="logFreq" />
-              <YAxis />
-              <Tooltip />
-              <Legend />
-              <Line type="monotone" dataKey="logOmegaModel" strokeWidth={2} name="Model" dot={false} />
-              <Line type="monotone" dataKey="logOmegaLimit" strokeWidth={2} strokeDasharray="5 5" name="PTA Limit" dot={false} />
-            </LineChart>
-          </ResponsiveContainer>
+          {renderSpectrumChart(280)}
         </div>
       )}
 
       <div style={{ marginTop: 16 }} className="grid2">
-        <div>
-          <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>log10(Gmu)</div>
-          <input className="range" type="range" min={-15} max={-6} step={0.05} value={logGmuPreview}
-            onChange={(e) => setLogGmuPreview(parseFloat(e.target.value))} />
-        </div>
-        <div>
-          <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>log10(P)</div>
-          <input className="range" type="range" min={-4} max={0} step={0.05} value={logPPreview}
-            onChange={(e) => setLogPPreview(parseFloat(e.target.value))} />
-        </div>
+        {previewModel.parameters.map((p) => (
+          <div key={p.name}>
+            <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>{p.label}</div>
+            <input className="range" type="range" min={previewRanges[p.name][0]} max={previewRanges[p.name][1]} step={0.05}
+              value={preview[p.name]}
+              onChange={(e) => setPreview({ ...preview, [p.name]: parseFloat(e.target.value) })} />
+          </div>
+        ))}
       </div>
 
+      <hr className="hr" />
+
+      <div className="h2">Detectability Map</div>
+      <div className="muted" style={{ fontWeight: 800 }}>
+        Optimal SNR of the string background over the log10 Gμ / log10 P prior box (one species, current α, Γ and
+        cosmology), for {noiseSources.length ? noiseSources.map((s) => s.label).join(" and ") : "no dataset yet"}. The
+        dashed red contour is SNR = {settings.sensitivitySNR}.
+      </div>
+      <div className="row" style={{ marginTop: 10 }}>
+        {snrProgress ? (
+          <>
+            <span className="badge">
+              <Loader2 size={16} className="spin" />
+              {snrProgress.phase === "emulator" ? "Tabulating Ω_GW" : "Filling map"} {snrProgress.step}/{snrProgress.totalSteps}
+            </span>
+            <button className="btn" onClick={cancelSNR}><Square size={16} /> Cancel</button>
+          </>
+        ) : (
+          <button className="btn" onClick={computeSNR} disabled={!noiseSources.length}>
+            Compute SNR map
+          </button>
+        )}
+        {snrMap && (
+          <select className="input" style={{ width: "auto" }} value={snrMapKey} onChange={(e) => setSnrMapKey(e.target.value)}>
+            {snrMap.maps.map((m) => (
+              <option key={m.key} value={m.key}>{m.label}</option>
+            ))}
+          </select>
+        )}
+        {snrError && (
+          <span className="badge">
+            <AlertCircle size={16} />
+            {snrError}
+          </span>
+        )}
+      </div>
+      {snrMap && (
+        <div style={{ marginTop: 12 }}>
+          <SNRHeatmap result={snrMap} mapKey={snrMapKey} threshold={settings.sensitivitySNR} />
+        </div>
+      )}
+
       <div style={{ marginTop: 16 }} className="row">
         <button className="btn" onClick={async () => { setStage("loading"); await loadPTAFromCatalog(); setStage("setup"); }}>
           Load PTA + Preview
@@ -415,14 +1306,55 @@ body{margin:0;background:radial-gradient(1200px 700px at 30% -10%, rgba(96,165,2
           <div className="grid2">
             <div>
               <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>MCMC Steps</div>
-              <input className="input" type="number" value={settings.nSteps}
+              <input className="input" type="number" value={settings.nSteps} disabled={settings.autoStop}
                 onChange={(e) => setSettings({ ...settings, nSteps: parseInt(e.target.value, 10) })} />
             </div>
+            <div>
+              <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Run length</div>
+              <label className="badge" style={{ cursor: "pointer" }}>
+                <input
+                  type="checkbox"
+                  checked={settings.autoStop}
+                  onChange={(e) => setSettings({ ...settings, autoStop: e.target.checked })}
+                  style={{ marginRight: 8 }}
+                />
+                Auto: stop at 50τ, burn-in 2τ, thin τ/2
+              </label>
+            </div>
+            {settings.autoStop && (
+              <div>
+                <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Max Steps (hard cap)</div>
+                <input className="input" type="number" value={settings.maxSteps}
+                  onChange={(e) => setSettings({ ...settings, maxSteps: parseInt(e.target.value, 10) })} />
+              </div>
+            )}
             <div>
               <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Walkers</div>
               <input className="input" type="number" value={settings.nWalkers}
                 onChange={(e) => setSettings({ ...settings, nWalkers: parseInt(e.target.value, 10) })} />
             </div>
+            <div>
+              <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Checkpoint every (steps)</div>
+              <input className="input" type="number" min={1} value={settings.checkpointEvery}
+                onChange={(e) => setSettings({ ...settings, checkpointEvery: Math.max(1, parseInt(e.target.value, 10) || 1) })} />
+            </div>
+            <div>
+              <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Random seed</div>
+              <div className="row" style={{ flexWrap: "nowrap" }}>
+                <input className="input" value={settings.seed}
+                  onChange={(e) => setSettings({ ...settings, seed: e.target.value })} />
+                <button className="btn" title="Draw a new seed" onClick={() => setSettings({ ...settings, seed: randomSeed() })}>
+                  <Dices size={16} />
+                </button>
+              </div>
+            </div>
+            <div>
+              <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>
+                Parallel ensembles (workers, max {defaultPoolSize()})
+              </div>
+              <input className="input" type="number" min={1} max={defaultPoolSize()} value={settings.nWorkers}
+                onChange={(e) => setSettings({ ...settings, nWorkers: Math.max(1, parseInt(e.target.value, 10) || 1) })} />
+            </div>
             <div>
               <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Harmonics (Nk)</div>
               <input className="input" type="number" value={settings.Nk}
@@ -431,21 +1363,349 @@ body{margin:0;background:radial-gradient(1200px 700px at 30% -10%, rgba(96,165,2
             <div>
               <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Max Redshift</div>
               <input className="input" type="number" value={settings.zMax}
-                onChange={(e) => setSettings({ ...settings, zMax: parseInt(e.target.value, 10) })} />
+                onChange={(e) => setSettings({ ...settings, zMax: parseFloat(e.target.value) })} />
+            </div>
+            <div>
+              <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Spectrum evaluation</div>
+              <label className="badge" style={{ cursor: "pointer" }}>
+                <input
+                  type="checkbox"
+                  checked={settings.useEmulator}
+                  onChange={(e) => setSettings({ ...settings, useEmulator: e.target.checked })}
+                  style={{ marginRight: 8 }}
+                />
+                Tabulated emulator (direct integrator if off)
+              </label>
+            </div>
+            <div>
+              <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Loop distribution</div>
+              <select className="input" value={settings.loopModel}
+                onChange={(e) => setSettings({ ...settings, loopModel: e.target.value })}>
+                {Object.entries(LOOP_MODELS).map(([id, m]) => (
+                  <option key={id} value={id}>{m.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Emission spectrum</div>
+              <select className="input" value={settings.emission}
+                onChange={(e) => setSettings({ ...settings, emission: e.target.value })}>
+                {Object.entries(EMISSION_SPECTRA).map(([id, s]) => (
+                  <option key={id} value={id}>{s.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Gamma (total GW power)</div>
+              <input className="input" type="number" step={1} value={settings.Gamma}
+                onChange={(e) => {
+                  const Gamma = parseFloat(e.target.value);
+                  if (Gamma > 0) setSettings({ ...settings, Gamma });
+                }} />
+            </div>
+            {settings.emission === "mixed" &&
+              Object.keys(DEFAULT_EMISSION_WEIGHTS).map((key) => (
+                <div key={key}>
+                  <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Weight: {EMISSION_SPECTRA[key].label}</div>
+                  <input className="input" type="number" min={0} step={0.05} value={settings.emissionWeights[key]}
+                    onChange={(e) => {
+                      const w = parseFloat(e.target.value);
+                      if (w >= 0) setSettings({ ...settings, emissionWeights: { ...settings.emissionWeights, [key]: w } });
+                    }} />
+                </div>
+              ))}
+            {settings.emission === "table" && (
+              <div>
+                <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>P_k table (k = 1, 2, …; rescaled to sum to Gamma)</div>
+                <input className="input" type="text" placeholder="e.g. 1, 0.4, 0.23, 0.16" value={settings.emissionTable}
+                  onChange={(e) => setSettings({ ...settings, emissionTable: e.target.value })} />
+              </div>
+            )}
+          </div>
+
+          <hr className="hr" />
+
+          <div className="h2">Sampler</div>
+          <div className="grid2">
+            <div>
+              <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Algorithm</div>
+              <select className="input" value={settings.sampler}
+                onChange={(e) => setSettings({ ...settings, sampler: e.target.value })}>
+                {Object.entries(SAMPLERS).map(([key, spec]) => (
+                  <option key={key} value={key}>{spec.label}</option>
+                ))}
+              </select>
             </div>
+            {settings.sampler === "nested" && (
+              <>
+                <div>
+                  <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Live points (per worker)</div>
+                  <input className="input" type="number" min={10} value={settings.nLive}
+                    onChange={(e) => setSettings({ ...settings, nLive: parseInt(e.target.value, 10) })} />
+                </div>
+                <div>
+                  <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Stop at remaining Δln Z</div>
+                  <input className="input" type="number" min={0.001} step={0.01} value={settings.dlogz}
+                    onChange={(e) => setSettings({ ...settings, dlogz: parseFloat(e.target.value) })} />
+                </div>
+                <div>
+                  <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Dynamic batches (posterior-focused)</div>
+                  <input className="input" type="number" min={0} value={settings.nBatches}
+                    onChange={(e) => setSettings({ ...settings, nBatches: parseInt(e.target.value, 10) })} />
+                </div>
+              </>
+            )}
+            {settings.sampler !== "nested" && (
+              <div>
+                <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Move weights</div>
+                <div className="row" style={{ flexWrap: "nowrap" }}>
+                  {Object.entries(MOVES).map(([key, spec]) => (
+                    <label key={key} className="muted" style={{ fontWeight: 800, flex: 1 }}>
+                      {spec.label}
+                      <input className="input" type="number" min={0} step={0.1} value={settings.moves[key] ?? 0}
+                        onChange={(e) => setSettings({
+                          ...settings,
+                          moves: { ...settings.moves, [key]: Math.max(0, parseFloat(e.target.value) || 0) },
+                        })} />
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+            {settings.sampler !== "nested" && settings.moves.stretch > 0 && (
+              <div>
+                <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Stretch scale a</div>
+                <input className="input" type="number" min={1.1} step={0.1} value={settings.stretchScale}
+                  onChange={(e) => setSettings({ ...settings, stretchScale: parseFloat(e.target.value) })} />
+              </div>
+            )}
+            {settings.sampler !== "nested" && settings.moves.de > 0 && (
+              <div>
+                <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>DE γ scale (× 2.38/√(2d))</div>
+                <input className="input" type="number" min={0.05} step={0.05} value={settings.deGammaScale}
+                  onChange={(e) => setSettings({ ...settings, deGammaScale: parseFloat(e.target.value) })} />
+              </div>
+            )}
+            {settings.sampler !== "nested" && settings.moves.walk > 0 && (
+              <div>
+                <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Walk subset size</div>
+                <input className="input" type="number" min={2} value={settings.walkSubset}
+                  onChange={(e) => setSettings({ ...settings, walkSubset: parseInt(e.target.value, 10) })} />
+              </div>
+            )}
+            {settings.sampler === "tempered" && (
+              <>
+                <div>
+                  <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Temperatures</div>
+                  <input className="input" type="number" min={2} value={settings.nTemps}
+                    onChange={(e) => setSettings({ ...settings, nTemps: parseInt(e.target.value, 10) })} />
+                </div>
+                <div>
+                  <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>Hottest temperature T_max</div>
+                  <input className="input" type="number" min={1} value={settings.maxTemp}
+                    onChange={(e) => setSettings({ ...settings, maxTemp: parseFloat(e.target.value) })} />
+                </div>
+              </>
+            )}
+          </div>
+
+          <hr className="hr" />
+
+          <div className="h2">Signal Components</div>
+          <div className="muted" style={{ fontWeight: 800, marginBottom: 8 }}>
+            The model spectrum is the sum of the selected components.
+          </div>
+          <div className="row">
+            {Object.entries(SGWB_MODELS).map(([key, spec]) => (
+              <label key={key} className="badge" style={{ cursor: "pointer" }}>
+                <input
+                  type="checkbox"
+                  checked={settings.components.includes(key)}
+                  onChange={(e) => toggleComponent(key, e.target.checked)}
+                  style={{ marginRight: 8 }}
+                />
+                {spec.label}
+              </label>
+            ))}
+          </div>
+
+          <hr className="hr" />
+
+          <div className="h2">Sampled Parameters</div>
+          <div className="row">
+            {Object.entries(PARAMETER_LIBRARY).filter(([name]) => inComponents(name, settings.components)).map(([name, p]) => (
+              <label key={name} className="badge" style={{ cursor: p.required ? "default" : "pointer" }}>
+                <input
+                  type="checkbox"
+                  checked={p.required || settings.parameters.includes(name)}
+                  disabled={p.required}
+                  onChange={(e) => toggleParameter(name, e.target.checked)}
+                  style={{ marginRight: 8 }}
+                />
+                {p.label}
+              </label>
+            ))}
+          </div>
+
+          <hr className="hr" />
+
+          <div className="row" style={{ justifyContent: "space-between" }}>
+            <div className="h2">Priors</div>
+            <button className="btn" onClick={() => setSettings((s) => ({ ...s, priors: {} }))}>
+              Reset priors
+            </button>
+          </div>
+          <div className="grid2">{sampledNames.map(renderPriorEditor)}</div>
+
+          <hr className="hr" />
+
+          <div className="row" style={{ justifyContent: "space-between" }}>
+            <div className="h2">Cosmology</div>
+            <button className="btn" onClick={() => setSettings((s) => ({ ...s, cosmology: { ...DEFAULT_COSMOLOGY } }))}>
+              Reset to Planck
+            </button>
+          </div>
+          <div className="grid2">
+            {COSMOLOGY_FIELDS.map(({ key, label, step }) => (
+              <div key={key}>
+                <div className="muted" style={{ fontWeight: 900, marginBottom: 8 }}>{label}</div>
+                <input className="input" type="number" step={step} value={settings.cosmology[key]}
+                  onChange={(e) => setCosmologyParam(key, parseFloat(e.target.value))} />
+              </div>
+            ))}
+          </div>
+          <div className="muted" style={{ marginTop: 10, fontWeight: 800 }}>
+            {cosmologyError || `Omega_k = ${resolveCosmology(settings.cosmology).Omega_k.toExponential(2)}`}
           </div>
         </div>
       )}
 
       <div style={{ marginTop: 14 }}>
-        <button className="btn btnPrimary" onClick={runAnalysis}>
-          <Play size={18} />
-          Launch Bayesian Analysis (PTA{useLISA ? " + LISA" : ""})
-        </button>
+        {runBlocker && (
+          <div className="row" style={{ marginBottom: 10 }}>
+            <span className="badge">
+              <AlertCircle size={16} />
+              {runBlocker}
+            </span>
+          </div>
+        )}
+        {rerun && (
+          <div className="row" style={{ marginBottom: 10 }}>
+            <span className="badge">
+              Re-running an export: seed {rerun.seed}, {rerun.ensembles} ensemble{rerun.ensembles > 1 ? "s" : ""} (streams{" "}
+              {rerun.streams.join(", ")})
+            </span>
+            <button className="btn" onClick={() => setRerun(null)}>Clear</button>
+          </div>
+        )}
+        <div className="row">
+          <button className="btn btnPrimary" onClick={runAnalysis} disabled={Boolean(runBlocker)}>
+            <Play size={18} />
+            Launch Bayesian Analysis (PTA{useLISA ? " + LISA" : ""})
+          </button>
+          <label className="btn" style={{ cursor: "pointer" }}>
+            <Upload size={16} /> Re-run from export
+            <input type="file" accept="application/json,.json" style={{ display: "none" }}
+              onChange={(e) => {
+                importRunFromExport(e.target.files?.[0]);
+                e.target.value = "";
+              }} />
+          </label>
+        </div>
       </div>
     </div>
   );
 
+  const renderMoveStats = (moveAcceptance, swapAcceptance) => {
+    if (!moveAcceptance) return null;
+    const moves = Object.entries(moveAcceptance);
+    return (
+      <div className="muted" style={{ marginTop: 6, fontWeight: 800 }}>
+        {moves.length > 1 && moves.map(([name, rate]) => `${MOVES[name].label} ${(rate * 100).toFixed(0)}%`).join(" · ")}
+        {swapAcceptance && ` — swap acceptance (hot→cold): ${swapAcceptance.map((r) => `${(r * 100).toFixed(0)}%`).join(", ")}`}
+      </div>
+    );
+  };
+
+  const renderDiagnostics = (diag) => {
+    if (!diag) return null;
+    return (
+      <div>
+        <table className="diagTable">
+          <thead>
+            <tr><th>Parameter</th><th>τ (steps)</th><th>split-R̂</th><th>ESS</th></tr>
+          </thead>
+          <tbody>
+            {diag.parameters.map((p) => (
+              <tr key={p.name}>
+                <td>{p.label}</td>
+                <td>{p.tau.toFixed(1)}</td>
+                <td>{p.rhat.toFixed(3)}</td>
+                <td>{Math.round(p.ess).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {diag.tooShort && (
+          <div className="warn" style={{ marginTop: 8 }}>
+            Chain too short: {diag.nSteps} post-burn-in steps &lt; {TAU_SAFETY_FACTOR}τ ={" "}
+            {Math.ceil(TAU_SAFETY_FACTOR * diag.maxTau)}. τ estimates are unreliable; increase the number of steps.
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Runs stored in IndexedDB; "running"/"paused" records not owned by this page were interrupted.
+  const renderHistory = () => {
+    if (!checkpointsAvailable() || runs.length === 0) return null;
+    return (
+      <div className="card pad" style={{ marginTop: 14 }}>
+        <div className="row" style={{ justifyContent: "space-between" }}>
+          <div className="h2">Run History</div>
+          <div className="row">
+            <span className="muted" style={{ fontWeight: 900 }}>Extend by</span>
+            <input className="input" type="number" style={{ width: 110 }} value={extendSteps}
+              onChange={(e) => setExtendSteps(Math.max(1, parseInt(e.target.value, 10) || 1))} />
+            <span className="muted" style={{ fontWeight: 900 }}>steps</span>
+          </div>
+        </div>
+        <table className="diagTable" style={{ width: "100%" }}>
+          <thead>
+            <tr><th>Run</th><th>Started</th><th>Status</th><th>Steps</th><th>Seed</th><th /></tr>
+          </thead>
+          <tbody>
+            {runs.map((r) => {
+              const status = (r.status === "running" || r.status === "paused") && r.id !== activeRunId ? "interrupted" : r.status;
+              return (
+                <tr key={r.id}>
+                  <td>{r.label}</td>
+                  <td>{new Date(r.createdAt).toLocaleString()}</td>
+                  <td>{status}</td>
+                  <td>{r.summary?.nSteps?.toLocaleString() ?? "—"}</td>
+                  <td>{r.options.seed ?? "—"}</td>
+                  <td>
+                    <div className="row" style={{ justifyContent: "flex-end" }}>
+                      <button className="btn" disabled={stage === "mcmc"} onClick={() => resumeRun(r)}>
+                        {status === "complete" ? "Open" : "Resume"}
+                      </button>
+                      <button className="btn" disabled={stage === "mcmc"} onClick={() => resumeRun(r, extendSteps)}>
+                        +{extendSteps}
+                      </button>
+                      <button className="btn" disabled={r.id === activeRunId} onClick={() => removeRun(r.id)}>
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
   const renderProgress = () => (
     <div className="card pad" style={{ textAlign: "center" }}>
       <div className="row" style={{ justifyContent: "center" }}>
@@ -453,12 +1713,56 @@ body{margin:0;background:radial-gradient(1200px 700px at 30% -10%, rgba(96,165,2
       </div>
       <div style={{ marginTop: 10 }} className="h2">
         {stage === "loading" && "Loading Data"}
-        {stage === "mcmc" && "Running Ensemble MCMC (Web Worker)"}
+        {stage === "mcmc" &&
+          (paused
+            ? `Paused — ${progress.phase === "nested" ? "Nested Sampling" : "Ensemble MCMC"}`
+            : `Running ${progress.phase === "nested" ? "Nested Sampling" : "Ensemble MCMC"} (${progress.ensembles ?? 1} Web Worker${progress.ensembles > 1 ? "s" : ""})`)}
         {stage === "analyzing" && "Computing KDE Credible Regions"}
       </div>
-      {stage === "mcmc" && (
+      {stage === "mcmc" && progress.phase === "emulator" && (
+        <div className="muted" style={{ marginTop: 6, fontWeight: 800 }}>
+          Tabulating Omega_GW emulator — row {progress.step} / {progress.totalSteps}
+        </div>
+      )}
+      {stage === "mcmc" && progress.phase !== "emulator" && (
         <div className="muted" style={{ marginTop: 6, fontWeight: 800 }}>
-          Step {progress.step} / {progress.totalSteps} — Acceptance {(progress.acceptanceRate * 100).toFixed(1)}%
+          Step {progress.step} / {progress.totalSteps}
+          {progress.ensembles > 1 && ` (summed over ${progress.ensembles} ensembles)`}
+          {progress.autoStop && ` (cap; auto target ≈ ${progress.autoStop.targetSteps ?? "…"})`} — Acceptance{" "}
+          {(progress.acceptanceRate * 100).toFixed(1)}%
+        </div>
+      )}
+      {stage === "mcmc" && progress.nested && (
+        <div className="muted" style={{ marginTop: 6, fontWeight: 800 }}>
+          ln Z ≈ {Number.isFinite(progress.nested.logZ) ? progress.nested.logZ.toFixed(3) : "…"}
+          {progress.nested.remaining !== null
+            ? ` — remaining Δln Z ${Number.isFinite(progress.nested.remaining) ? progress.nested.remaining.toFixed(3) : "…"}`
+            : ` — batch ${progress.nested.batch} / ${progress.nested.nBatches}`}
+          {" "}— {progress.nested.calls.toLocaleString()} likelihood calls
+        </div>
+      )}
+      {stage === "mcmc" && progress.phase !== "emulator" && renderMoveStats(progress.moveAcceptance, progress.swapAcceptance)}
+      {stage === "mcmc" && progress.phase !== "emulator" && renderDiagnostics(progress.diagnostics)}
+      {stage === "mcmc" && poolRef.current && (
+        <div className="row" style={{ justifyContent: "center", marginTop: 12 }}>
+          {paused ? (
+            <button className="btn" onClick={() => controlRun("RESUME")}><Play size={16} /> Resume</button>
+          ) : (
+            <button className="btn" onClick={() => controlRun("PAUSE")}><Pause size={16} /> Pause</button>
+          )}
+          <button className="btn" onClick={() => controlRun("SNAPSHOT")}><Camera size={16} /> Snapshot</button>
+          <button className="btn" onClick={() => controlRun("CANCEL")}><Square size={16} /> Stop &amp; keep samples</button>
+        </div>
+      )}
+      {stage === "mcmc" && activeRunId && (
+        <div className="muted" style={{ marginTop: 8, fontWeight: 800 }}>
+          Run {activeRunId} — last checkpoint: {checkpointStep === null ? "none yet" : `step ${checkpointStep}`}
+        </div>
+      )}
+      {stage === "mcmc" && snapshot && (
+        <div className="row muted" style={{ justifyContent: "center", marginTop: 10, fontWeight: 800 }}>
+          Snapshot at step {snapshot.nSteps}: {snapshot.samples.length.toLocaleString()} samples kept
+          <button className="btn" onClick={exportSnapshotJSON}><Download size={16} /> Snapshot JSON</button>
         </div>
       )}
     </div>
@@ -467,8 +1771,8 @@ body{margin:0;background:radial-gradient(1200px 700px at 30% -10%, rgba(96,165,2
   const renderResults = () => {
     if (!results || !ptaData) return null;
 
-    const threshold = results.levels.level95 * 0.1;
-    const filtered = results.kde.grid.filter((p) => p.density > threshold);
+    const xSpec = parameterSpec(results.mcmc.parameters, results.kde?.xKey ?? kdePair[0]);
+    const ySpec = parameterSpec(results.mcmc.parameters, results.kde?.yKey ?? kdePair[1]);
 
     return (
       <div style={{ display: "grid", gap: 14 }}>
@@ -477,17 +1781,48 @@ body{margin:0;background:radial-gradient(1200px 700px at 30% -10%, rgba(96,165,2
             <div>
               <div className="row">
                 <CheckCircle2 size={18} />
-                <strong>Analysis Complete</strong>
+                <strong>{results.mcmc.complete === false ? "Partial Results (run stopped early)" : "Analysis Complete"}</strong>
               </div>
               <div className="muted" style={{ marginTop: 6, fontWeight: 800 }}>
-                Sampled {results.mcmc.samples.length.toLocaleString()} points — Acceptance {(results.mcmc.acceptanceRate * 100).toFixed(1)}%
+                {SAMPLERS[results.mcmc.sampler]?.label ?? "Ensemble"}: {results.mcmc.samples.length.toLocaleString()} points — Acceptance {(results.mcmc.acceptanceRate * 100).toFixed(1)}%
               </div>
+              {results.mcmc.evidence ? (
+                <div className="muted" style={{ marginTop: 6, fontWeight: 800 }}>
+                  {results.mcmc.ensembles && `${results.mcmc.ensembles.length} nested runs merged — `}
+                  {results.mcmc.nWalkers} live points — {results.mcmc.nested.calls.toLocaleString()} likelihood calls — ln Z ={" "}
+                  {results.mcmc.evidence.logZ.toFixed(3)} ± {results.mcmc.evidence.logZErr.toFixed(3)} — information H ={" "}
+                  {results.mcmc.evidence.information.toFixed(2)} nats — ESS {Math.round(results.mcmc.evidence.ess).toLocaleString()} — seed{" "}
+                  {results.mcmc.seed}
+                  {results.mcmc.nested.truncated && " — stopped at the iteration cap before reaching Δln Z"}
+                </div>
+              ) : (
+                <div className="muted" style={{ marginTop: 6, fontWeight: 800 }}>
+                  {results.mcmc.ensembles && `${results.mcmc.ensembles.length} ensembles of ${results.mcmc.ensembles[0].nWalkers} walkers merged — `}
+                  {results.mcmc.nSteps.toLocaleString()} steps — burn-in {results.mcmc.burnSteps} — thin {results.mcmc.thin} — seed{" "}
+                  {results.mcmc.seed}
+                  {results.mcmc.autoStop &&
+                    (results.mcmc.autoStop.converged
+                      ? " — auto stop: converged"
+                      : ` — auto stop: hit the ${results.mcmc.autoStop.maxSteps}-step cap before converging`)}
+                </div>
+              )}
+              {results.mcmc.emulator && (
+                <div className="muted" style={{ marginTop: 6, fontWeight: 800 }}>
+                  Emulator: built in {(results.mcmc.emulator.buildMs / 1000).toFixed(1)} s — max rel. error{" "}
+                  {(results.mcmc.emulator.accuracy.maxRelError * 100).toFixed(2)}% (rms{" "}
+                  {(results.mcmc.emulator.accuracy.rmsRelError * 100).toFixed(2)}%) —{" "}
+                  {results.mcmc.emulator.accuracy.emulatorUsPerEval.toFixed(1)} µs vs{" "}
+                  {results.mcmc.emulator.accuracy.directUsPerEval.toFixed(0)} µs per evaluation
+                </div>
+              )}
+              {renderMoveStats(...acceptanceRates(results.mcmc))}
+              {renderDiagnostics(results.mcmc.diagnostics)}
             </div>
 
             <div className="row">
               <button className="btn" onClick={exportResultsJSON}><Download size={16} /> JSON</button>
               <button className="btn" onClick={exportSamplesCSV}><Download size={16} /> Samples CSV</button>
-              <button className="btn" onClick={exportKDECSV}><Download size={16} /> KDE CSV</button>
+              <button className="btn" onClick={exportKDECSV} disabled={!results.kde}><Download size={16} /> KDE CSV</button>
             </div>
           </div>
         </div>
@@ -495,32 +1830,140 @@ body{margin:0;background:radial-gradient(1200px 700px at 30% -10%, rgba(96,165,2
         <div className="card pad">
           <div className="h2">Spectrum vs PTA Limits</div>
           <div style={{ marginTop: 10 }}>
-            <ResponsiveContainer width="100%" height={300}>
-              <LineChart data={spectrumData}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="logFreq" />
-                <YAxis />
-                <Tooltip />
-                <Legend />
-                <Line type="monotone" dataKey="logOmegaModel" strokeWidth={2} name="Model" dot={false} />
-                <Line type="monotone" dataKey="logOmegaLimit" strokeWidth={2} strokeDasharray="5 5" name="PTA Limit" dot={false} />
-              </LineChart>
-            </ResponsiveContainer>
+            {renderSpectrumChart(300)}
+          </div>
+        </div>
+
+        <div className="card pad">
+          <div className="row" style={{ justifyContent: "space-between" }}>
+            <div className="h2">Posterior Credible Regions (68% / 95%)</div>
+            <div className="row">
+              {[0, 1].map((axis) => (
+                <select key={axis} className="input" style={{ width: "auto" }} value={kdePair[axis]}
+                  onChange={(e) => selectKdeAxis(axis, e.target.value)}>
+                  {results.mcmc.parameters.map((p) => (
+                    <option key={p.name} value={p.name}>{axis === 0 ? "x" : "y"}: {p.label}</option>
+                  ))}
+                </select>
+              ))}
+              <select className="input" style={{ width: "auto" }} value={settings.kdeBandwidth}
+                onChange={(e) => selectKdeBandwidth(e.target.value)}>
+                {Object.entries(KDE_BANDWIDTHS).map(([key, b]) => (
+                  <option key={key} value={key}>Bandwidth: {b.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {(kdeBusy || kdeError) && (
+            <div className="row" style={{ marginTop: 10 }}>
+              <span className="badge">
+                {kdeBusy ? <Loader2 size={16} className="spin" /> : <AlertCircle size={16} />}
+                {kdeBusy ? "Computing density" : kdeError}
+              </span>
+            </div>
+          )}
+          <div style={{ marginTop: 10 }}>
+            <ContourPlot contours={results.contours} xSpec={xSpec} ySpec={ySpec} />
+          </div>
+        </div>
+
+        <div className="card pad">
+          <div className="h2">Corner Plot</div>
+          <div className="muted" style={{ marginTop: 6, fontWeight: 800 }}>
+            Marginals with 16/50/84% quantiles; 68% and 95% credible regions for every parameter pair.
+          </div>
+          <div style={{ marginTop: 10 }}>
+            <CornerPlot mcmc={results.mcmc} bandwidth={settings.kdeBandwidth} />
           </div>
         </div>
 
         <div className="card pad">
-          <div className="h2">Posterior KDE (Filtered)</div>
+          <div className="row" style={{ justifyContent: "space-between" }}>
+            <div className="h2">Exclusion Curve: log10 Gμ upper limit vs log10 P</div>
+            <div className="row">
+              <select className="input" style={{ width: "auto" }} value={settings.limitMethod}
+                onChange={(e) => setSettings({ ...settings, limitMethod: e.target.value })}>
+                {Object.entries(LIMIT_METHODS).map(([key, m]) => (
+                  <option key={key} value={key}>{m.label}</option>
+                ))}
+              </select>
+              <input className="input" style={{ width: 90 }} type="number" min="0.5" max="0.999" step="0.01"
+                value={settings.limitLevel}
+                onChange={(e) => setSettings({ ...settings, limitLevel: Number(e.target.value) })} />
+              {publishedBounds && (
+                <label className="badge" style={{ cursor: "pointer" }}>
+                  <input
+                    type="checkbox"
+                    checked={settings.showPublishedBounds}
+                    onChange={(e) => setSettings({ ...settings, showPublishedBounds: e.target.checked })}
+                    style={{ marginRight: 8 }}
+                  />
+                  {publishedBounds.name}
+                </label>
+              )}
+              <label className="btn" style={{ cursor: "pointer" }} title="JSON with digitized published bounds (format in README)">
+                <Upload size={16} /> Bounds JSON
+                <input type="file" accept="application/json,.json" style={{ display: "none" }}
+                  onChange={(e) => {
+                    loadBoundsFile(e.target.files?.[0]);
+                    e.target.value = "";
+                  }} />
+              </label>
+              <button className="btn" onClick={exportExclusionCSV} disabled={!exclusion}>
+                <Download size={16} /> Curve CSV
+              </button>
+            </div>
+          </div>
+          <div className="muted" style={{ marginTop: 6, fontWeight: 800 }}>
+            {settings.limitMethod === "posterior"
+              ? `${Math.round(settings.limitLevel * 100)}% quantile of log10 Gμ among the samples in each log10 P window (depends on the Gμ prior).`
+              : `One-sided ${Math.round(settings.limitLevel * 100)}% profile-likelihood limit from the PTA${useLISA ? " + LISA" : ""} likelihood` +
+                (profileLimits?.nuisance.length ? `, maximized over ${profileLimits.nuisance.join(", ")}.` : ".")}
+            {settings.showPublishedBounds && publishedBounds && ` ${publishedBounds.notes}`}
+          </div>
+          {settings.limitMethod === "profile" && (
+            <div className="row" style={{ marginTop: 10 }}>
+              {profileProgress ? (
+                <>
+                  <span className="badge">
+                    <Loader2 size={16} className="spin" />
+                    {profileProgress.phase === "emulator" ? "Building emulator" : "Profiling"} {profileProgress.step}/
+                    {profileProgress.totalSteps}
+                  </span>
+                  <button className="btn" onClick={cancelProfileLimits}><Square size={16} /> Cancel</button>
+                </>
+              ) : (
+                <button className="btn" onClick={computeProfileLimits}>
+                  {profileLimits ? "Recompute" : "Compute"} profile likelihood
+                </button>
+              )}
+            </div>
+          )}
+          {(exclusionError || boundsError) && (
+            <div className="row" style={{ marginTop: 10 }}>
+              <span className="badge">
+                <AlertCircle size={16} />
+                {exclusionError || boundsError}
+              </span>
+            </div>
+          )}
           <div style={{ marginTop: 10 }}>
-            <ResponsiveContainer width="100%" height={420}>
-              <ScatterChart margin={{ top: 20, right: 60, bottom: 50, left: 70 }}>
+            <ResponsiveContainer width="100%" height={320}>
+              <LineChart data={exclusionData}>
                 <CartesianGrid strokeDasharray="3 3" />
-                <XAxis type="number" dataKey="logGmu" domain={[-15, -6]} />
-                <YAxis type="number" dataKey="logP" domain={[-4, 0]} />
+                <XAxis dataKey="logP" type="number" domain={["dataMin", "dataMax"]}
+                  label={{ value: "log10 P", position: "insideBottom", offset: -2 }} />
+                <YAxis domain={["auto", "auto"]} label={{ value: "log10 Gμ limit", angle: -90, position: "insideLeft" }} />
                 <Tooltip />
-                <Scatter data={filtered} fillOpacity={0.5} />
-                <ReferenceLine y={0} strokeWidth={2} />
-              </ScatterChart>
+                <Legend />
+                <Line type="monotone" dataKey="logGmuLimit" strokeWidth={2} dot={{ r: 2 }} connectNulls
+                  name={`This analysis (${exclusion ? LIMIT_METHODS[exclusion.method].label : "not computed"})`} />
+                {settings.showPublishedBounds &&
+                  publishedBounds?.bounds.map((b, i) => (
+                    <Line key={i} type="monotone" dataKey={`bound${i}`} stroke={BOUND_COLORS[i % BOUND_COLORS.length]}
+                      strokeDasharray="5 5" dot={false} connectNulls name={`${b.name} (${b.reference})`} />
+                  ))}
+              </LineChart>
             </ResponsiveContainer>
           </div>
         </div>
@@ -570,6 +2013,7 @@ body{margin:0;background:radial-gradient(1200px 700px at 30% -10%, rgba(96,165,2
 
       <div className="container">
         {stage === "setup" && renderSetup()}
+        {(stage === "setup" || stage === "complete") && renderHistory()}
         {(stage === "loading" || stage === "mcmc" || stage === "analyzing") && renderProgress()}
         {stage === "complete" && renderResults()}
         {stage === "error" && renderError()}
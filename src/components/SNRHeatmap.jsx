@@ -0,0 +1,129 @@
+import React from "react";
+
+import { contourLines } from "../lib/analysis.js";
+
+/* SVG heatmap of one SNR map from computeSNRMap (snr.js): cells coloured by
+ * log10 SNR, thin contours at each decade and a bold contour at the
+ * detection threshold.
+ */
+
+const WIDTH = 640;
+const HEIGHT = 420;
+const MARGIN = { top: 16, right: 90, bottom: 46, left: 60 };
+const LOG_SNR_RANGE = [-2, 4];
+
+// Viridis-like stops for t in [0, 1].
+const COLOR_STOPS = [
+  [68, 1, 84],
+  [59, 82, 139],
+  [33, 145, 140],
+  [94, 201, 98],
+  [253, 231, 37],
+];
+
+function colorAt(t) {
+  const x = Math.min(Math.max(t, 0), 1) * (COLOR_STOPS.length - 1);
+  const i = Math.min(Math.floor(x), COLOR_STOPS.length - 2);
+  const f = x - i;
+  const [r, g, b] = COLOR_STOPS[i].map((c, k) => Math.round(c + f * (COLOR_STOPS[i + 1][k] - c)));
+  return `rgb(${r},${g},${b})`;
+}
+
+function integerTicks(lo, hi) {
+  const ticks = [];
+  for (let v = Math.ceil(lo); v <= Math.floor(hi); v++) ticks.push(v);
+  return ticks;
+}
+
+export default function SNRHeatmap({ result, mapKey, threshold }) {
+  const map = result.maps.find((m) => m.key === mapKey) ?? result.maps[0];
+  const { logGmu, logP } = result;
+  const nx = logGmu.length;
+  const ny = logP.length;
+  const plotW = WIDTH - MARGIN.left - MARGIN.right;
+  const plotH = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const [x0, x1] = [logGmu[0], logGmu[nx - 1]];
+  const [y0, y1] = [logP[0], logP[ny - 1]];
+  const sx = (x) => MARGIN.left + ((x - x0) / (x1 - x0)) * plotW;
+  const sy = (y) => MARGIN.top + plotH - ((y - y0) / (y1 - y0)) * plotH;
+  // grid index -> pixel
+  const px = (i) => sx(x0 + (i * (x1 - x0)) / (nx - 1));
+  const py = (j) => sy(y0 + (j * (y1 - y0)) / (ny - 1));
+  const cellW = plotW / (nx - 1);
+  const cellH = plotH / (ny - 1);
+
+  const logSnr = map.snr.map((row) => Array.from(row, (v) => (v > 0 ? Math.log10(v) : -Infinity)));
+  const [cLo, cHi] = LOG_SNR_RANGE;
+  const path = (points) => points.map(([i, j], k) => `${k ? "L" : "M"}${px(i).toFixed(1)},${py(j).toFixed(1)}`).join("");
+
+  const decadeLevels = integerTicks(cLo, cHi);
+  const logThreshold = Math.log10(threshold);
+  const thresholdLines = threshold > 0 ? contourLines(logSnr, logThreshold) : [];
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: "100%", height: "auto" }} role="img"
+      aria-label={`SNR map: ${map.label}`}>
+      <defs>
+        <clipPath id="snr-plot">
+          <rect x={MARGIN.left} y={MARGIN.top} width={plotW} height={plotH} />
+        </clipPath>
+        <linearGradient id="snr-colorbar" x1="0" y1="1" x2="0" y2="0">
+          {COLOR_STOPS.map((_, k) => (
+            <stop key={k} offset={k / (COLOR_STOPS.length - 1)} stopColor={colorAt(k / (COLOR_STOPS.length - 1))} />
+          ))}
+        </linearGradient>
+      </defs>
+
+      <g clipPath="url(#snr-plot)">
+        {logSnr.map((row, j) =>
+          row.map((v, i) => (
+            <rect key={`${i},${j}`} x={px(i) - cellW / 2} y={py(j) - cellH / 2} width={cellW + 0.5} height={cellH + 0.5}
+              fill={colorAt((v - cLo) / (cHi - cLo))} />
+          ))
+        )}
+        {decadeLevels.map((level) =>
+          contourLines(logSnr, level).map((line, k) => {
+            const [li, lj] = line.points[Math.floor(line.points.length / 2)];
+            return (
+              <g key={`${level}-${k}`}>
+                <path d={path(line.points)} fill="none" stroke="rgba(255,255,255,0.55)" strokeWidth={0.8} />
+                <text x={px(li)} y={py(lj) - 3} fontSize={10} fill="#fff" textAnchor="middle">{`${Math.pow(10, level)}`}</text>
+              </g>
+            );
+          })
+        )}
+        {thresholdLines.map((line, k) => (
+          <path key={`t${k}`} d={path(line.points)} fill="none" stroke="#f87171" strokeWidth={2.5} strokeDasharray="6 3" />
+        ))}
+      </g>
+
+      <rect x={MARGIN.left} y={MARGIN.top} width={plotW} height={plotH} fill="none" stroke="rgba(255,255,255,0.35)" />
+      {integerTicks(x0, x1).map((v) => (
+        <g key={`x${v}`}>
+          <line x1={sx(v)} x2={sx(v)} y1={MARGIN.top + plotH} y2={MARGIN.top + plotH + 5} stroke="currentColor" />
+          <text x={sx(v)} y={MARGIN.top + plotH + 18} fontSize={11} fill="currentColor" textAnchor="middle">{v}</text>
+        </g>
+      ))}
+      {integerTicks(y0 * 2, y1 * 2).map((h) => (
+        <g key={`y${h}`}>
+          <line x1={MARGIN.left - 5} x2={MARGIN.left} y1={sy(h / 2)} y2={sy(h / 2)} stroke="currentColor" />
+          <text x={MARGIN.left - 8} y={sy(h / 2) + 4} fontSize={11} fill="currentColor" textAnchor="end">{h / 2}</text>
+        </g>
+      ))}
+      <text x={MARGIN.left + plotW / 2} y={HEIGHT - 8} fontSize={12} fill="currentColor" textAnchor="middle">log10 Gμ</text>
+      <text x={16} y={MARGIN.top + plotH / 2} fontSize={12} fill="currentColor" textAnchor="middle"
+        transform={`rotate(-90 16 ${MARGIN.top + plotH / 2})`}>log10 P</text>
+
+      <rect x={WIDTH - MARGIN.right + 20} y={MARGIN.top} width={14} height={plotH} fill="url(#snr-colorbar)" />
+      {decadeLevels.map((level) => {
+        const y = MARGIN.top + plotH - ((level - cLo) / (cHi - cLo)) * plotH;
+        return (
+          <text key={`c${level}`} x={WIDTH - MARGIN.right + 40} y={y + 4} fontSize={10} fill="currentColor">
+            {`${Math.pow(10, level)}`}
+          </text>
+        );
+      })}
+      <text x={WIDTH - MARGIN.right + 20} y={HEIGHT - 8} fontSize={11} fill="currentColor">SNR</text>
+    </svg>
+  );
+}
@@ -1,75 +1,518 @@
 /* code/src/lib/analysis.js
- * 2D KDE and credible-level extraction for posterior visualization.
+ * 2D KDE (binned FFT, rule-of-thumb or cross-validated full-covariance
+ * bandwidths, reflection at hard edges), credible-level extraction and
+ * contour lines for posterior (and other gridded) visualization.
  */
 
-export function kde2D(samples, gridSize = 60, bandwidth = 0.2) {
-  const logGmuVals = samples.map((s) => Math.log10(s.Gmu));
-  const logPVals = samples.map((s) => s.logP);
+import { fft, nextPow2 } from "./diagnostics.js";
 
-  const logGmuMin = Math.min(...logGmuVals) - bandwidth;
-  const logGmuMax = Math.max(...logGmuVals) + bandwidth;
-  const logPMin = Math.min(...logPVals) - bandwidth;
-  const logPMax = Math.max(...logPVals) + bandwidth;
+function range(values) {
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const v of values) {
+    if (v < lo) lo = v;
+    if (v > hi) hi = v;
+  }
+  return [lo, hi];
+}
 
-  const grid = [];
-  const densityGrid = Array.from({ length: gridSize }, () =>
-    Array(gridSize).fill(0)
-  );
+/* Quantiles of values (weights default to equal), interpolated in
+ * cumulative weight with each sample at the middle of its weight.
+ */
+export function weightedQuantiles(values, weights, qs) {
+  const order = Array.from(values.keys()).sort((a, b) => values[a] - values[b]);
+  const w = order.map((k) => (weights ? weights[k] : 1));
+  const total = w.reduce((a, b) => a + b, 0);
+  const mids = [];
+  let cum = 0;
+  for (const wi of w) {
+    mids.push((cum + wi / 2) / total);
+    cum += wi;
+  }
+  return qs.map((q) => {
+    if (q <= mids[0]) return values[order[0]];
+    for (let k = 1; k < mids.length; k++) {
+      if (mids[k] >= q) {
+        const t = (q - mids[k - 1]) / (mids[k] - mids[k - 1]);
+        return values[order[k - 1]] + t * (values[order[k]] - values[order[k - 1]]);
+      }
+    }
+    return values[order[order.length - 1]];
+  });
+}
 
-  const norm = samples.length * 2 * Math.PI * bandwidth * bandwidth;
+// Weighted histogram of samples[key] over [lo, hi], normalized to unit area.
+export function histogram1D(samples, key, { weights = null, range, bins = 30 } = {}) {
+  const [lo, hi] = range;
+  const width = (hi - lo) / bins;
+  const counts = new Float64Array(bins);
+  let total = 0;
+  samples.forEach((s, k) => {
+    if (!(s[key] >= lo && s[key] <= hi)) return;
+    const w = weights ? weights[k] : 1;
+    counts[Math.min(Math.floor((s[key] - lo) / width), bins - 1)] += w;
+    total += w;
+  });
+  const density = Float64Array.from(counts, (c) => (total > 0 ? c / (total * width) : 0));
+  return { lo, hi, width, density };
+}
 
-  for (let j = 0; j < gridSize; j++) {
-    const logP = logPMin + (j / (gridSize - 1)) * (logPMax - logPMin);
-    for (let i = 0; i < gridSize; i++) {
-      const logGmu =
-        logGmuMin + (i / (gridSize - 1)) * (logGmuMax - logGmuMin);
-
-      let density = 0;
-      for (let k = 0; k < samples.length; k++) {
-        const dx = (logGmu - logGmuVals[k]) / bandwidth;
-        const dy = (logP - logPVals[k]) / bandwidth;
-        density += Math.exp(-0.5 * (dx * dx + dy * dy));
+export const KDE_BANDWIDTHS = Object.freeze({
+  scott: { label: "Scott" },
+  silverman: { label: "Silverman (robust)" },
+  cv: { label: "Cross-validation" },
+});
+
+const KDE_EXTENT = 3; // open grid edges: kernel widths beyond the samples
+const KERNEL_CUTOFF = 4; // kernel truncated at this many standard deviations
+const CV_FACTORS = Array.from({ length: 25 }, (_, k) => Math.pow(2, -3 + k / 6)); // 1/8 … 2 x Scott
+
+// 2D FFT of row-major (ny rows of nx) arrays: rows, then columns.
+function fft2(re, im, nx, ny, inverse = false) {
+  const rowRe = new Float64Array(nx);
+  const rowIm = new Float64Array(nx);
+  for (let j = 0; j < ny; j++) {
+    rowRe.set(re.subarray(j * nx, (j + 1) * nx));
+    rowIm.set(im.subarray(j * nx, (j + 1) * nx));
+    fft(rowRe, rowIm, inverse);
+    re.set(rowRe, j * nx);
+    im.set(rowIm, j * nx);
+  }
+  const colRe = new Float64Array(ny);
+  const colIm = new Float64Array(ny);
+  for (let i = 0; i < nx; i++) {
+    for (let j = 0; j < ny; j++) {
+      colRe[j] = re[j * nx + i];
+      colIm[j] = im[j * nx + i];
+    }
+    fft(colRe, colIm, inverse);
+    for (let j = 0; j < ny; j++) {
+      re[j * nx + i] = colRe[j];
+      im[j * nx + i] = colIm[j];
+    }
+  }
+}
+
+/* Grid along one axis: m nodes over [lo, hi] plus KDE_EXTENT kernel widths,
+ * clipped at a bound the samples respect. A clipped side gets pad extra
+ * nodes past the bound whose density is folded back (reflection).
+ */
+function axisLayout([lo, hi], sd, bound, m) {
+  let min = lo - KDE_EXTENT * sd;
+  let max = hi + KDE_EXTENT * sd;
+  const reflectLo = Number.isFinite(bound?.[0]) && lo >= bound[0] && min < bound[0];
+  const reflectHi = Number.isFinite(bound?.[1]) && hi <= bound[1] && max > bound[1];
+  if (reflectLo) min = bound[0];
+  if (reflectHi) max = bound[1];
+  const step = (max - min) / (m - 1);
+  const pad = Math.min(Math.ceil((KERNEL_CUTOFF * sd) / step), m - 1);
+  return { min, max, step, m, padLo: reflectLo ? pad : 0, padHi: reflectHi ? pad : 0, n: m + (reflectLo ? pad : 0) + (reflectHi ? pad : 0) };
+}
+
+/* Linear binning of weighted samples onto the (padded) grid. frac keeps each
+ * sample's offset inside its cell for the cross-validation self term.
+ */
+function linearBin(xs, ys, w, lx, ly) {
+  const counts = new Float64Array(lx.n * ly.n);
+  const frac = new Float64Array(2 * xs.length);
+  for (let k = 0; k < xs.length; k++) {
+    const fx = Math.min(Math.max((xs[k] - lx.min) / lx.step, 0), lx.m - 1) + lx.padLo;
+    const fy = Math.min(Math.max((ys[k] - ly.min) / ly.step, 0), ly.m - 1) + ly.padLo;
+    const i = Math.min(Math.floor(fx), lx.n - 2);
+    const j = Math.min(Math.floor(fy), ly.n - 2);
+    const tx = fx - i;
+    const ty = fy - j;
+    counts[j * lx.n + i] += w[k] * (1 - tx) * (1 - ty);
+    counts[j * lx.n + i + 1] += w[k] * tx * (1 - ty);
+    counts[(j + 1) * lx.n + i] += w[k] * (1 - tx) * ty;
+    counts[(j + 1) * lx.n + i + 1] += w[k] * tx * ty;
+    frac[2 * k] = tx;
+    frac[2 * k + 1] = ty;
+  }
+  return { counts, frac };
+}
+
+/* Binned counts convolved with the Gaussian kernel of bandwidth matrix H,
+ * by FFT zero-padded so nothing wraps. The discrete kernel is normalized to
+ * unit mass; near[oy + 1][ox + 1] holds its values at neighbouring offsets.
+ */
+function convolveGaussian(counts, lx, ly, H) {
+  const [[a, b], [, c]] = H;
+  const det = a * c - b * b;
+  const Lx = Math.min(Math.ceil((KERNEL_CUTOFF * Math.sqrt(a)) / lx.step), lx.n - 1);
+  const Ly = Math.min(Math.ceil((KERNEL_CUTOFF * Math.sqrt(c)) / ly.step), ly.n - 1);
+  const px = nextPow2(lx.n + Lx);
+  const py = nextPow2(ly.n + Ly);
+
+  const kRe = new Float64Array(px * py);
+  const kIm = new Float64Array(px * py);
+  const value = (ox, oy) => {
+    const x = ox * lx.step;
+    const y = oy * ly.step;
+    return Math.exp((-0.5 * (c * x * x - 2 * b * x * y + a * y * y)) / det);
+  };
+  let sum = 0;
+  for (let oy = -Ly; oy <= Ly; oy++) {
+    for (let ox = -Lx; ox <= Lx; ox++) {
+      const v = value(ox, oy);
+      kRe[((oy + py) % py) * px + ((ox + px) % px)] = v;
+      sum += v;
+    }
+  }
+  const norm = 1 / (sum * lx.step * ly.step);
+  for (let k = 0; k < kRe.length; k++) kRe[k] *= norm;
+  const near = [-1, 0, 1].map((oy) => [-1, 0, 1].map((ox) => (Math.abs(ox) <= Lx && Math.abs(oy) <= Ly ? value(ox, oy) * norm : 0)));
+
+  const dRe = new Float64Array(px * py);
+  const dIm = new Float64Array(px * py);
+  for (let j = 0; j < ly.n; j++) dRe.set(counts.subarray(j * lx.n, (j + 1) * lx.n), j * px);
+  fft2(kRe, kIm, px, py);
+  fft2(dRe, dIm, px, py);
+  for (let k = 0; k < dRe.length; k++) {
+    const re = dRe[k] * kRe[k] - dIm[k] * kIm[k];
+    dIm[k] = dRe[k] * kIm[k] + dIm[k] * kRe[k];
+    dRe[k] = re;
+  }
+  fft2(dRe, dIm, px, py, true);
+
+  const density = new Float64Array(lx.n * ly.n);
+  for (let j = 0; j < ly.n; j++) {
+    for (let i = 0; i < lx.n; i++) density[j * lx.n + i] = Math.max(dRe[j * px + i], 0); // FFT round-off
+  }
+  return { density, near };
+}
+
+// Padded-grid indices that land on output node idx: itself and its mirrors in clipped bounds.
+function foldedIndices(idx, l) {
+  const out = [l.padLo + idx];
+  if (l.padLo && idx <= l.padLo) out.push(l.padLo - idx);
+  if (l.padHi && idx >= l.m - 1 - l.padHi) out.push(l.padLo + 2 * (l.m - 1) - idx);
+  return out;
+}
+
+// Output rows densityGrid[j][i]: f(x) plus f at the mirror images of x.
+function foldAndCrop(density, lx, ly) {
+  const cols = Array.from({ length: lx.m }, (_, i) => foldedIndices(i, lx));
+  return Array.from({ length: ly.m }, (_, j) => {
+    const rows = foldedIndices(j, ly);
+    return cols.map((is) => rows.reduce((s, jj) => s + is.reduce((t, ii) => t + density[jj * lx.n + ii], 0), 0));
+  });
+}
+
+// Weighted covariance (unbiased for normalized weights w) and effective sample size.
+function weightedCovariance(xs, ys, w) {
+  let mx = 0;
+  let my = 0;
+  let s2 = 0;
+  for (let k = 0; k < xs.length; k++) {
+    mx += w[k] * xs[k];
+    my += w[k] * ys[k];
+    s2 += w[k] * w[k];
+  }
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  for (let k = 0; k < xs.length; k++) {
+    const dx = xs[k] - mx;
+    const dy = ys[k] - my;
+    sxx += w[k] * dx * dx;
+    syy += w[k] * dy * dy;
+    sxy += w[k] * dx * dy;
+  }
+  const unbias = 1 / (1 - s2);
+  return { cov: [[sxx * unbias, sxy * unbias], [sxy * unbias, syy * unbias]], nEff: 1 / s2, s2 };
+}
+
+// Kernel matrix from per-axis spreads and a correlation, kept positive definite.
+function spreadMatrix(sx, sy, rho, factor) {
+  const [a, b] = [Math.max(sx, 1e-9), Math.max(sy, 1e-9)];
+  const r = Math.min(Math.max(Number.isFinite(rho) ? rho : 0, -0.99), 0.99);
+  return [[factor * a * a, factor * r * a * b], [factor * r * a * b, factor * b * b]];
+}
+
+/* Least-squares cross-validation over H = c^2 H_scott on the binned grid:
+ * minimizes ∫ f^2 - 2 Σ_i w_i f_-i(x_i) / (1 - Σ w^2), the leave-one-out term
+ * being the binned fit minus each sample's exact binned self-contribution.
+ */
+function crossValidatedBandwidth(xs, ys, w, scott, s2, ranges, bounds, gridSize) {
+  const cMax = CV_FACTORS[CV_FACTORS.length - 1];
+  const lx = axisLayout(ranges[0], cMax * Math.sqrt(scott[0][0]), bounds?.[0], gridSize);
+  const ly = axisLayout(ranges[1], cMax * Math.sqrt(scott[1][1]), bounds?.[1], gridSize);
+  const { counts, frac } = linearBin(xs, ys, w, lx, ly);
+  // self[oy + 1][ox + 1] = Σ_k w_k^2 Σ_{p - q = (ox, oy)} a_p a_q over each sample's binning corners
+  const self = [0, 1, 2].map(() => [0, 0, 0]);
+  for (let k = 0; k < xs.length; k++) {
+    const [tx, ty] = [frac[2 * k], frac[2 * k + 1]];
+    const corners = [[0, 0, (1 - tx) * (1 - ty)], [1, 0, tx * (1 - ty)], [0, 1, (1 - tx) * ty], [1, 1, tx * ty]];
+    for (const [ip, jp, ap] of corners) {
+      for (const [iq, jq, aq] of corners) self[jp - jq + 1][ip - iq + 1] += w[k] * w[k] * ap * aq;
+    }
+  }
+
+  let best = null;
+  for (const factor of CV_FACTORS) {
+    const H = scott.map((row) => row.map((v) => factor * factor * v));
+    const { density, near } = convolveGaussian(counts, lx, ly, H);
+    const f = foldAndCrop(density, lx, ly);
+    let squared = 0;
+    let fit = 0;
+    for (let j = 0; j < ly.m; j++) {
+      for (let i = 0; i < lx.m; i++) {
+        squared += f[j][i] * f[j][i];
+        fit += counts[(j + ly.padLo) * lx.n + i + lx.padLo] * f[j][i];
       }
+    }
+    const selfFit = self.reduce((a, row, jo) => row.reduce((b, v, io) => b + v * near[jo][io], a), 0);
+    const score = squared * lx.step * ly.step - (2 * (fit - selfFit)) / (1 - s2);
+    if (!best || score < best.score) best = { score, H };
+  }
+  return best.H;
+}
 
-      density /= norm;
-      densityGrid[j][i] = density;
-      grid.push({ logGmu, logP, density });
+function bandwidthMatrix(bandwidth, xs, ys, w, ranges, bounds, gridSize) {
+  if (typeof bandwidth === "number" || Array.isArray(bandwidth)) {
+    const [bx, by] = Array.isArray(bandwidth) ? bandwidth : [bandwidth, bandwidth];
+    return [[bx * bx, 0], [0, by * by]];
+  }
+  if (!KDE_BANDWIDTHS[bandwidth]) throw new Error(`Unknown KDE bandwidth rule: ${bandwidth}`);
+  const { cov, nEff, s2 } = weightedCovariance(xs, ys, w);
+  const factor = Math.pow(nEff, -1 / 3); // (n^(-1/(d+4)))^2 with d = 2
+  const [sx, sy] = [Math.sqrt(cov[0][0]), Math.sqrt(cov[1][1])];
+  const rho = cov[0][1] / (sx * sy);
+  if (bandwidth === "silverman") {
+    const robust = (values, sd) => {
+      const [q1, q3] = weightedQuantiles(values, w, [0.25, 0.75]);
+      return q3 > q1 ? Math.min(sd, (q3 - q1) / 1.349) : sd;
+    };
+    return spreadMatrix(robust(xs, sx), robust(ys, sy), rho, factor);
+  }
+  const scott = spreadMatrix(sx, sy, rho, factor);
+  if (bandwidth === "scott") return scott;
+  return crossValidatedBandwidth(xs, ys, w, scott, s2, ranges, bounds, gridSize);
+}
+
+/* samples are objects keyed by parameter name; the KDE is over (xKey, yKey),
+ * computed by linear binning on the grid and an FFT convolution. bandwidth is
+ * a shared kernel width, [bx, by] per axis, or a KDE_BANDWIDTHS rule for a
+ * full-covariance kernel (n = effective sample size, Σ = weighted covariance):
+ *  - scott:     H = n^(-1/3) Σ
+ *  - silverman: the same factor on robust spreads min(σ, IQR / 1.349); in 2D
+ *    the normal-reference factors of the two rules coincide
+ *  - cv:        c^2 times Scott's H, c in [1/8, 2] minimizing least-squares
+ *    cross-validation
+ * weights (e.g. nested sampling posterior weights) default to equal; the
+ * grid spans the samples with non-negligible weight plus 3 kernel widths.
+ * bounds [[xLo, xHi], [yLo, yHi]] (null or infinite for open) are hard edges
+ * such as prior ranges: the grid stops there and kernel mass beyond them is
+ * reflected back, so the density does not sag towards the edge.
+ */
+export function kde2D(
+  samples,
+  gridSize = 60,
+  bandwidth = "scott",
+  { xKey = "logGmu", yKey = "logP", weights = null, bounds = null } = {}
+) {
+  let kept = samples;
+  let w = null;
+  if (weights) {
+    const maxW = range(weights)[1];
+    const idx = [];
+    weights.forEach((wi, k) => {
+      if (wi > 1e-8 * maxW) idx.push(k);
+    });
+    kept = idx.map((k) => samples[k]);
+    w = idx.map((k) => weights[k]);
+  }
+  if (kept.length < 2) throw new Error("KDE needs at least two samples");
+  const xVals = kept.map((s) => s[xKey]);
+  const yVals = kept.map((s) => s[yKey]);
+  const totalWeight = w ? w.reduce((a, b) => a + b, 0) : kept.length;
+  const wn = Float64Array.from(kept, (_, k) => (w ? w[k] : 1) / totalWeight);
+
+  const ranges = [range(xVals), range(yVals)];
+  const H = bandwidthMatrix(bandwidth, xVals, yVals, wn, ranges, bounds, gridSize);
+  const lx = axisLayout(ranges[0], Math.sqrt(H[0][0]), bounds?.[0], gridSize);
+  const ly = axisLayout(ranges[1], Math.sqrt(H[1][1]), bounds?.[1], gridSize);
+  const { counts } = linearBin(xVals, yVals, wn, lx, ly);
+  const densityGrid = foldAndCrop(convolveGaussian(counts, lx, ly, H).density, lx, ly);
+
+  const grid = [];
+  for (let j = 0; j < gridSize; j++) {
+    for (let i = 0; i < gridSize; i++) {
+      grid.push({ [xKey]: lx.min + i * lx.step, [yKey]: ly.min + j * ly.step, density: densityGrid[j][i] });
     }
   }
 
   return {
     grid,
     densityGrid,
-    logGmuMin,
-    logGmuMax,
-    logPMin,
-    logPMax,
+    xKey,
+    yKey,
+    xMin: lx.min,
+    xMax: lx.max,
+    yMin: ly.min,
+    yMax: ly.max,
     gridSize,
-    bandwidth,
+    bandwidth: [Math.sqrt(H[0][0]), Math.sqrt(H[1][1])],
+    bandwidthMatrix: H,
+    bandwidthRule: typeof bandwidth === "string" ? bandwidth : "fixed",
   };
 }
 
+// Density thresholds enclosing each fraction of the grid's probability mass.
+export function credibleThresholds(densityGrid, fractions = [0.68, 0.95]) {
+  const flat = densityGrid.flatMap((row) => Array.from(row)).sort((a, b) => b - a);
+  const total = flat.reduce((a, b) => a + b, 0);
+  return fractions.map((fraction) => {
+    let cum = 0;
+    for (const d of flat) {
+      cum += d;
+      if (cum >= fraction * total) return d;
+    }
+    return flat[flat.length - 1];
+  });
+}
+
 export function findCredibleLevels(
   densityGrid,
   { levelA = 0.68, levelB = 0.95 } = {}
 ) {
-  const flat = densityGrid.flat().slice().sort((a, b) => b - a);
-  const total = flat.reduce((a, b) => a + b, 0);
+  const [level68, level95] = credibleThresholds(densityGrid, [levelA, levelB]);
+  return { level68, level95 };
+}
 
-  let cum = 0;
-  let levA = 0;
-  let levB = 0;
+// Cell edges as [corner a, corner b]; corners 0..3 are (i,j), (i+1,j), (i+1,j+1), (i,j+1).
+const CELL_EDGES = [
+  [0, 1],
+  [1, 2],
+  [3, 2],
+  [0, 3],
+];
+const CORNER_OFFSETS = [
+  [0, 0],
+  [1, 0],
+  [1, 1],
+  [0, 1],
+];
+// Edges meeting at each corner, used to isolate it at a saddle.
+const CORNER_EDGES = [
+  [0, 3],
+  [0, 1],
+  [1, 2],
+  [2, 3],
+];
+
+/* Marching-squares isolines of grid[j][i] (rows along y) at `level`.
+ * Returns polylines [{ points: [[x, y], ...], closed }] in fractional grid
+ * indices (x = i, y = j); NaN cells count as below the level. Saddles are
+ * resolved with the cell-centre average.
+ */
+export function contourLines(grid, level) {
+  const ny = grid.length;
+  const nx = grid[0]?.length ?? 0;
+  const above = (v) => v >= level;
+
+  const edgeKey = (i, j, e) => {
+    // shared edges get one key: bottom/top as horizontal, left/right as vertical
+    if (e === 0) return `h${i},${j}`;
+    if (e === 2) return `h${i},${j + 1}`;
+    if (e === 3) return `v${i},${j}`;
+    return `v${i + 1},${j}`;
+  };
+  const edgePoint = (i, j, e, v) => {
+    const [a, b] = CELL_EDGES[e];
+    const t = (level - v[a]) / (v[b] - v[a]);
+    const [ax, ay] = CORNER_OFFSETS[a];
+    const [bx, by] = CORNER_OFFSETS[b];
+    return [i + ax + t * (bx - ax), j + ay + t * (by - ay)];
+  };
 
-  for (let i = 0; i < flat.length; i++) {
-    cum += flat[i];
-    const frac = cum / total;
+  const points = new Map(); // edge key -> [x, y]
+  const links = new Map(); // edge key -> neighbouring edge keys
+  const link = (p, q) => {
+    if (!links.has(p)) links.set(p, []);
+    if (!links.has(q)) links.set(q, []);
+    links.get(p).push(q);
+    links.get(q).push(p);
+  };
 
-    if (frac >= levelA && levA === 0) levA = flat[i];
-    if (frac >= levelB && levB === 0) {
-      levB = flat[i];
-      break;
+  for (let j = 0; j < ny - 1; j++) {
+    for (let i = 0; i < nx - 1; i++) {
+      // finite floor so edge interpolation stays defined next to NaN / -Infinity cells
+      const v = [grid[j][i], grid[j][i + 1], grid[j + 1][i + 1], grid[j + 1][i]].map((x) =>
+        Number.isNaN(x) ? -Number.MAX_VALUE : Math.max(x, -Number.MAX_VALUE)
+      );
+      const crossing = [0, 1, 2, 3].filter((e) => above(v[CELL_EDGES[e][0]]) !== above(v[CELL_EDGES[e][1]]));
+      if (!crossing.length) continue;
+      for (const e of crossing) {
+        const key = edgeKey(i, j, e);
+        if (!points.has(key)) points.set(key, edgePoint(i, j, e, v));
+      }
+      if (crossing.length === 2) {
+        link(edgeKey(i, j, crossing[0]), edgeKey(i, j, crossing[1]));
+        continue;
+      }
+      // Saddle: isolate the two corners on the other side from the centre.
+      const centreAbove = above((v[0] + v[1] + v[2] + v[3]) / 4);
+      for (let c = 0; c < 4; c++) {
+        if (above(v[c]) === centreAbove) continue;
+        const [e1, e2] = CORNER_EDGES[c];
+        link(edgeKey(i, j, e1), edgeKey(i, j, e2));
+      }
     }
   }
 
-  return { level68: levA, level95: levB };
+  // Chain the segments: open lines start at grid-boundary ends (one link), then loops.
+  const lines = [];
+  const visited = new Set();
+  const trace = (start) => {
+    const keys = [start];
+    visited.add(start);
+    let current = start;
+    for (;;) {
+      const next = links.get(current).find((k) => !visited.has(k));
+      if (next === undefined) break;
+      visited.add(next);
+      keys.push(next);
+      current = next;
+    }
+    const closed = keys.length > 2 && links.get(current).includes(start);
+    const pts = keys.map((k) => points.get(k));
+    if (closed) pts.push(pts[0]);
+    lines.push({ points: pts, closed });
+  };
+  for (const [key, ns] of links) if (ns.length === 1 && !visited.has(key)) trace(key);
+  for (const key of links.keys()) if (!visited.has(key)) trace(key);
+  return lines;
+}
+
+/* Closed credible-region contours of a kde2D result, in parameter units:
+ * [{ fraction, level, polygons: [[[x, y], ...], ...] }] sorted from the
+ * widest region. The grid is padded with zero density so every line closes;
+ * draw each level's polygons as one even-odd path so holes stay empty.
+ */
+export function credibleContours(kde, fractions = [0.68, 0.95]) {
+  const { densityGrid, xMin, xMax, yMin, yMax, gridSize } = kde;
+  const zeros = new Array(gridSize + 2).fill(0);
+  const padded = [zeros, ...densityGrid.map((row) => [0, ...row, 0]), zeros];
+  const toX = (i) => xMin + ((i - 1) / (gridSize - 1)) * (xMax - xMin);
+  const toY = (j) => yMin + ((j - 1) / (gridSize - 1)) * (yMax - yMin);
+
+  const levels = credibleThresholds(densityGrid, fractions);
+  return fractions
+    .map((fraction, k) => ({
+      fraction,
+      level: levels[k],
+      polygons: contourLines(padded, levels[k]).map((line) => line.points.map(([i, j]) => [toX(i), toY(j)])),
+    }))
+    .sort((a, b) => b.fraction - a.fraction);
+}
+
+/* Density of one parameter pair for the posterior plot: { kde, levels, contours }.
+ * options are kde2D's plus gridSize, bandwidth and the credible fractions;
+ * runs as a worker job (jobRegistry.js).
+ */
+export function posteriorDensity(samples, { gridSize = 60, bandwidth = "scott", fractions = [0.68, 0.95], ...options } = {}) {
+  const kde = kde2D(samples, gridSize, bandwidth, options);
+  return { kde, levels: findCredibleLevels(kde.densityGrid), contours: credibleContours(kde, fractions) };
 }
@@ -0,0 +1,99 @@
+/* src/lib/checkpoints.js
+ * IndexedDB persistence for long MCMC runs.
+ *  - runs:        one record per run { id, createdAt, updatedAt, status,
+ *                 label, ptaData, options, ensembles, summary }
+ *  - checkpoints: one record per ensemble, keyed [runId, stream], holding
+ *                 sampler.checkpoint() (walkers, chains, PRNG state, ...)
+ * Used from both the page (run records) and the workers (checkpoints).
+ */
+
+const DB_NAME = "cosmic-superstring-sgwb";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function checkpointsAvailable() {
+  return typeof indexedDB !== "undefined";
+}
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains("runs")) db.createObjectStore("runs", { keyPath: "id" });
+        if (!db.objectStoreNames.contains("checkpoints")) {
+          db.createObjectStore("checkpoints", { keyPath: ["runId", "stream"] });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(name, mode, fn) {
+  const db = await openDB();
+  const tx = db.transaction(name, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = await fn(tx.objectStore(name));
+  await done;
+  return result;
+}
+
+export function createRunId() {
+  return `run-${Date.now().toString(36)}-${Math.floor(Math.random() * 0x10000).toString(36)}`;
+}
+
+export async function saveRun(record) {
+  const now = new Date().toISOString();
+  const full = { createdAt: now, ...record, updatedAt: now };
+  await withStore("runs", "readwrite", (store) => request(store.put(full)));
+  return full;
+}
+
+export async function getRun(id) {
+  return withStore("runs", "readonly", (store) => request(store.get(id)));
+}
+
+export async function updateRun(id, patch) {
+  const record = await getRun(id);
+  if (!record) throw new Error(`Unknown run: ${id}`);
+  return saveRun({ ...record, ...patch });
+}
+
+// Newest first.
+export async function listRuns() {
+  const runs = await withStore("runs", "readonly", (store) => request(store.getAll()));
+  return runs.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+export async function deleteRun(id) {
+  await withStore("checkpoints", "readwrite", (store) =>
+    request(store.delete(IDBKeyRange.bound([id, -Infinity], [id, Infinity])))
+  );
+  await withStore("runs", "readwrite", (store) => request(store.delete(id)));
+}
+
+export async function saveCheckpoint(runId, stream, checkpoint) {
+  await withStore("checkpoints", "readwrite", (store) =>
+    request(store.put({ runId, stream, savedAt: new Date().toISOString(), ...checkpoint }))
+  );
+}
+
+export async function loadCheckpoint(runId, stream) {
+  return withStore("checkpoints", "readonly", (store) => request(store.get([runId, stream])));
+}
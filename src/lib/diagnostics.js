@@ -0,0 +1,170 @@
+/* src/lib/diagnostics.js
+ * Convergence diagnostics for ensemble chains.
+ * chains[w] is a flat Float64Array of walker w's positions, step-major
+ * (chains[w][step * ndim + d]).
+ *  - tau:  integrated autocorrelation time, emcee estimator (walker-averaged
+ *          autocorrelation function, Sokal window with c = 5)
+ *  - rhat: split-R-hat over walkers, each walker split into two halves
+ *  - ess:  nWalkers * nSteps / tau
+ */
+
+export const TAU_SAFETY_FACTOR = 50;
+
+// Smallest power of two >= n (FFT lengths).
+export function nextPow2(n) {
+  let p = 1;
+  while (p < n) p <<= 1;
+  return p;
+}
+
+// In-place iterative radix-2 FFT on separate real / imaginary arrays.
+export function fft(re, im, inverse = false) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = ((inverse ? 2 : -2) * Math.PI) / len;
+    const wr = Math.cos(ang);
+    const wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1;
+      let ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+        const ncr = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = ncr;
+      }
+    }
+  }
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+// Normalized autocorrelation function of x via zero-padded FFT.
+export function autocorrFunction(x) {
+  const n = x.length;
+  const m = nextPow2(2 * n);
+  const re = new Float64Array(m);
+  const im = new Float64Array(m);
+  let mean = 0;
+  for (let i = 0; i < n; i++) mean += x[i];
+  mean /= n;
+  for (let i = 0; i < n; i++) re[i] = x[i] - mean;
+
+  fft(re, im);
+  for (let i = 0; i < m; i++) {
+    re[i] = re[i] * re[i] + im[i] * im[i];
+    im[i] = 0;
+  }
+  fft(re, im, true);
+
+  const acf = new Float64Array(n);
+  const c0 = re[0];
+  for (let i = 0; i < n; i++) acf[i] = c0 > 0 ? re[i] / c0 : 0;
+  return acf;
+}
+
+function walkerSeries(chain, ndim, d, start, end) {
+  const out = new Float64Array(end - start);
+  for (let s = start; s < end; s++) out[s - start] = chain[s * ndim + d];
+  return out;
+}
+
+export function integratedTime(series, c = 5) {
+  const n = series[0].length;
+  const acf = new Float64Array(n);
+  for (const x of series) {
+    const f = autocorrFunction(x);
+    for (let i = 0; i < n; i++) acf[i] += f[i] / series.length;
+  }
+
+  // tau(M) = 1 + 2 sum_{t=1}^{M} rho(t); smallest M >= c tau(M)
+  let tau = 1;
+  for (let m = 1; m < n; m++) {
+    tau += 2 * acf[m];
+    if (m >= c * tau) return tau;
+  }
+  return tau;
+}
+
+export function splitRhat(series) {
+  const half = Math.floor(series[0].length / 2);
+  if (half < 2) return Number.NaN;
+
+  const parts = [];
+  for (const x of series) {
+    parts.push(x.subarray(0, half), x.subarray(x.length - half));
+  }
+
+  const m = parts.length;
+  const means = parts.map((p) => p.reduce((a, b) => a + b, 0) / half);
+  const grand = means.reduce((a, b) => a + b, 0) / m;
+
+  let B = 0;
+  for (const mu of means) B += (mu - grand) * (mu - grand);
+  B *= half / (m - 1);
+
+  let W = 0;
+  parts.forEach((p, k) => {
+    let v = 0;
+    for (const x of p) v += (x - means[k]) * (x - means[k]);
+    W += v / (half - 1);
+  });
+  W /= m;
+
+  if (!(W > 0)) return B > 0 ? Number.POSITIVE_INFINITY : 1;
+  const varPlus = ((half - 1) / half) * W + B / half;
+  return Math.sqrt(varPlus / W);
+}
+
+/* Diagnostics over steps [discard, nSteps) of every walker.
+ * parameters supplies the names; tooShort flags runs with fewer than
+ * TAU_SAFETY_FACTOR * tau steps after discard.
+ */
+export function computeDiagnostics(chains, nSteps, parameters, { discard = 0 } = {}) {
+  const ndim = parameters.length;
+  const n = nSteps - discard;
+  if (n < 4 || chains.length < 2) return null;
+
+  const perParameter = parameters.map((p, d) => {
+    const series = chains.map((chain) => walkerSeries(chain, ndim, d, discard, nSteps));
+    const tau = integratedTime(series);
+    return {
+      name: p.name,
+      label: p.label,
+      tau,
+      rhat: splitRhat(series),
+      ess: (chains.length * n) / tau,
+    };
+  });
+
+  const maxTau = Math.max(...perParameter.map((p) => p.tau));
+  return {
+    nSteps: n,
+    discard,
+    maxTau,
+    maxRhat: Math.max(...perParameter.map((p) => p.rhat)),
+    minEss: Math.min(...perParameter.map((p) => p.ess)),
+    tooShort: n < TAU_SAFETY_FACTOR * maxTau,
+    parameters: perParameter,
+  };
+}
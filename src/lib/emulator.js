@@ -0,0 +1,200 @@
+/* src/lib/emulator.js
+ * Tabulated Omega_GW(f; Gmu, P) for the MCMC hot loop.
+ *
+ * log10 Omega_GW is tabulated once per dataset frequency on a uniform grid in
+ * (log10 Gmu, log10 P) and evaluated with tensor Catmull-Rom splines. Loop
+ * models with an analytic P dependence (pScaling in loops.js) are tabulated
+ * at P = 1 only and rescaled, so the grid is one-dimensional in Gmu.
+ * The emulator is a plain object (typed arrays + numbers) and can be posted
+ * between workers. Accuracy against calculateOmegaGW is measured on build at
+ * off-grid points and reported in emulator.accuracy.
+ */
+
+import { calculateOmegaGW } from "./physics.js";
+import { LOOP_MODELS } from "./loops.js";
+
+const LOG_FLOOR = -60;
+
+function logOmega(f, Gmu, P, physicsOptions) {
+  return Math.log10(Math.max(calculateOmegaGW(f, Gmu, P, physicsOptions), Math.pow(10, LOG_FLOOR)));
+}
+
+function now() {
+  return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
+
+// Catmull-Rom weights for the stencil (i-1, i, i+1, i+2) at fraction t.
+function cubicWeights(t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return [
+    0.5 * (-t3 + 2 * t2 - t),
+    0.5 * (3 * t3 - 5 * t2 + 2),
+    0.5 * (-3 * t3 + 4 * t2 + t),
+    0.5 * (t3 - t2),
+  ];
+}
+
+function gridIndex(u, n) {
+  const i = Math.min(Math.max(Math.floor(u), 0), n - 2);
+  return [i, u - i];
+}
+
+// Table lookup with linearly extrapolated ghost nodes outside the grid.
+function tableAt(em, iF, iP, iG) {
+  if (iP < 0) return 2 * tableAt(em, iF, 0, iG) - tableAt(em, iF, 1, iG);
+  if (iP > em.nP - 1) return 2 * tableAt(em, iF, em.nP - 1, iG) - tableAt(em, iF, em.nP - 2, iG);
+  if (iG < 0) return 2 * tableAt(em, iF, iP, 0) - tableAt(em, iF, iP, 1);
+  if (iG > em.nGmu - 1) {
+    return 2 * tableAt(em, iF, iP, em.nGmu - 1) - tableAt(em, iF, iP, em.nGmu - 2);
+  }
+  return em.table[(iF * em.nP + iP) * em.nGmu + iG];
+}
+
+function interpolateRow(em, iF, iP, iG, wG) {
+  let acc = 0;
+  for (let a = 0; a < 4; a++) acc += wG[a] * tableAt(em, iF, iP, iG - 1 + a);
+  return acc;
+}
+
+function frequencyIndex(em, f) {
+  if (!em.index) em.index = new Map(Array.from(em.frequencies, (fi, i) => [fi, i]));
+  return em.index.get(f);
+}
+
+/* Returns Omega_GW, or null when (f, Gmu, P) is outside what was tabulated
+ * so the caller can fall back to calculateOmegaGW.
+ */
+export function evaluateEmulator(em, f, Gmu, P) {
+  const iF = frequencyIndex(em, f);
+  if (iF === undefined) return null;
+
+  const uG = (Math.log10(Gmu) - em.logGmu0) / em.dLogGmu;
+  if (!(uG >= 0 && uG <= em.nGmu - 1)) return null;
+  const [iG, tG] = gridIndex(uG, em.nGmu);
+  const wG = cubicWeights(tG);
+
+  let logOm;
+  if (em.separableP) {
+    const scale = LOOP_MODELS[em.loopModel].pScaling(P, em.physicsOptions);
+    logOm = interpolateRow(em, iF, 0, iG, wG) + Math.log10(scale);
+  } else {
+    const uP = (Math.log10(P) - em.logP0) / em.dLogP;
+    if (!(uP >= 0 && uP <= em.nP - 1)) return null;
+    const [iP, tP] = gridIndex(uP, em.nP);
+    const wP = cubicWeights(tP);
+    logOm = 0;
+    for (let b = 0; b < 4; b++) logOm += wP[b] * interpolateRow(em, iF, iP - 1 + b, iG, wG);
+  }
+
+  return logOm <= LOG_FLOOR ? 0 : Math.pow(10, logOm);
+}
+
+function measureAccuracy(em, nTest) {
+  const { physicsOptions } = em;
+  const phi = 0.6180339887498949;
+  const psi = 0.7548776662466927;
+  const logGmuMax = em.logGmu0 + em.dLogGmu * (em.nGmu - 1);
+  const logPMax = em.logP0 + em.dLogP * Math.max(em.nP - 1, 1);
+
+  let maxRel = 0;
+  let sumSq = 0;
+  let count = 0;
+  let directMs = 0;
+  for (let n = 1; n <= nTest; n++) {
+    // R2 low-discrepancy sequence over the tabulated box
+    const logGmu = em.logGmu0 + ((n * phi) % 1) * (logGmuMax - em.logGmu0);
+    const logP = em.logP0 + ((n * psi) % 1) * (logPMax - em.logP0);
+    const Gmu = Math.pow(10, logGmu);
+    const P = Math.pow(10, logP);
+
+    for (let i = 0; i < em.frequencies.length; i++) {
+      const f = em.frequencies[i];
+      const t0 = now();
+      const direct = calculateOmegaGW(f, Gmu, P, physicsOptions);
+      directMs += now() - t0;
+      if (!(direct > Math.pow(10, LOG_FLOOR + 1))) continue;
+
+      const rel = Math.abs(evaluateEmulator(em, f, Gmu, P) / direct - 1);
+      maxRel = Math.max(maxRel, rel);
+      sumSq += rel * rel;
+      count++;
+    }
+  }
+
+  const nBench = 2000;
+  const f0 = em.frequencies[0];
+  const t0 = now();
+  for (let n = 0; n < nBench; n++) {
+    evaluateEmulator(em, f0, Math.pow(10, em.logGmu0 + ((n * phi) % 1) * (logGmuMax - em.logGmu0)), 0.1);
+  }
+  const emulatorUs = ((now() - t0) * 1000) / nBench;
+
+  const nDirect = nTest * em.frequencies.length;
+  return {
+    nTest,
+    nCompared: count,
+    maxRelError: maxRel,
+    rmsRelError: count ? Math.sqrt(sumSq / count) : 0,
+    directUsPerEval: nDirect ? (directMs * 1000) / nDirect : 0,
+    emulatorUsPerEval: emulatorUs,
+  };
+}
+
+export function buildOmegaEmulator(frequencies, physicsOptions = {}, options = {}, onProgress = null) {
+  const {
+    logGmuRange = [-15, -6],
+    logPRange = [-4, 0],
+    nGmu = 37,
+    nP = 13,
+    nTest = 24,
+  } = options;
+
+  const t0 = now();
+  const loopModel = physicsOptions.loopModel ?? "bos";
+  const separableP = typeof LOOP_MODELS[loopModel]?.pScaling === "function";
+  const freqs = Float64Array.from(new Set(frequencies));
+  const nf = freqs.length;
+  const nPGrid = separableP ? 1 : nP;
+
+  const em = {
+    frequencies: freqs,
+    loopModel,
+    physicsOptions,
+    separableP,
+    logGmu0: logGmuRange[0],
+    dLogGmu: (logGmuRange[1] - logGmuRange[0]) / (nGmu - 1),
+    nGmu,
+    logP0: separableP ? 0 : logPRange[0],
+    dLogP: separableP ? 0 : (logPRange[1] - logPRange[0]) / (nP - 1),
+    nP: nPGrid,
+    table: new Float64Array(nf * nPGrid * nGmu),
+    index: null,
+  };
+
+  const totalRows = nf * nPGrid;
+  for (let iF = 0; iF < nf; iF++) {
+    for (let iP = 0; iP < nPGrid; iP++) {
+      const P = separableP ? 1 : Math.pow(10, em.logP0 + iP * em.dLogP);
+      for (let iG = 0; iG < nGmu; iG++) {
+        const Gmu = Math.pow(10, em.logGmu0 + iG * em.dLogGmu);
+        em.table[(iF * nPGrid + iP) * nGmu + iG] = logOmega(freqs[iF], Gmu, P, physicsOptions);
+      }
+      if (onProgress) onProgress({ done: iF * nPGrid + iP + 1, total: totalRows });
+    }
+  }
+
+  em.buildMs = now() - t0;
+  em.accuracy = measureAccuracy(em, nTest);
+  return em;
+}
+
+// Drop-in for calculateOmegaGW that uses physicsOptions.emulator when it covers the point.
+export function evaluateOmegaGW(f, Gmu, P, physicsOptions = {}) {
+  const em = physicsOptions.emulator;
+  if (em) {
+    const v = evaluateEmulator(em, f, Gmu, P);
+    if (v !== null) return v;
+  }
+  return calculateOmegaGW(f, Gmu, P, physicsOptions);
+}
@@ -0,0 +1,176 @@
+/* src/lib/freeSpectrum.js
+ * Free-spectrum ("violin") PTA likelihood. A release publishes, per
+ * frequency bin, the posterior density of one spectral variable; the
+ * factorized likelihood is the product over bins of those densities at the
+ * model's value (a uniform prior on the variable is assumed, as in the
+ * published fits).
+ * JSON schema (format "free_spectrum"):
+ * {
+ *  name, notes,
+ *  variable: "log10_rho" | "log10_hc" | "log10_omega",
+ *  frequency_unit: "Hz" | "nHz",
+ *  tspan_years: number,            // observation span, needed for log10_rho
+ *  bins: [{ frequency, grid: number[], density: number[] }   // tabulated
+ *       | { frequency, samples: number[] }]                   // KDE at load
+ * }
+ * Each variable is slope * log10(Omega_GW) + offset(f); offsets depend on H0
+ * (and Tspan), so the loader takes the analysis cosmology.
+ */
+
+import { resolveCosmology } from "./physics.js";
+
+const YEAR_S = 365.25 * 86400;
+
+// Densities are floored at this fraction of their peak before taking logs.
+const DENSITY_FLOOR = 1e-10;
+
+export const FREE_SPECTRUM_VARIABLES = Object.freeze({
+  // rho^2 = h_c^2 / (12 pi^2 f^3 T) = Omega H0^2 / (8 pi^4 f^5 T), rho in seconds
+  log10_rho: {
+    label: "log10(ρ / s)",
+    slope: 0.5,
+    offset: (f, H0, tspan) => 0.5 * Math.log10((H0 * H0) / (8 * Math.pow(Math.PI, 4) * Math.pow(f, 5) * tspan)),
+    needsTspan: true,
+  },
+  // h_c^2 = 3 H0^2 Omega / (2 pi^2 f^2)
+  log10_hc: {
+    label: "log10(h_c)",
+    slope: 0.5,
+    offset: (f, H0) => 0.5 * Math.log10((3 * H0 * H0) / (2 * Math.PI * Math.PI * f * f)),
+  },
+  log10_omega: {
+    label: "log10(Ω_GW)",
+    slope: 1,
+    offset: () => 0,
+  },
+});
+
+// Gaussian KDE of posterior samples on a regular grid (Silverman bandwidth).
+export function densityFromSamples(samples, nGrid = 200) {
+  const n = samples.length;
+  if (n < 2) throw new Error("A free-spectrum bin needs at least 2 samples");
+  const sorted = Float64Array.from(samples).sort();
+  const mean = sorted.reduce((a, b) => a + b, 0) / n;
+  const sd = Math.sqrt(sorted.reduce((a, b) => a + (b - mean) * (b - mean), 0) / (n - 1));
+  const iqr = sorted[Math.floor(0.75 * (n - 1))] - sorted[Math.floor(0.25 * (n - 1))];
+  const spread = iqr > 0 ? Math.min(sd, iqr / 1.34) : sd;
+  const h = 0.9 * spread * Math.pow(n, -0.2) || 1e-3;
+
+  const lo = sorted[0] - 3 * h;
+  const hi = sorted[n - 1] + 3 * h;
+  const grid = new Float64Array(nGrid);
+  const density = new Float64Array(nGrid);
+  for (let i = 0; i < nGrid; i++) {
+    const x = lo + ((hi - lo) * i) / (nGrid - 1);
+    let d = 0;
+    for (const s of sorted) {
+      const z = (x - s) / h;
+      d += Math.exp(-0.5 * z * z);
+    }
+    grid[i] = x;
+    density[i] = d / (n * h * Math.sqrt(2 * Math.PI));
+  }
+  return { grid, density };
+}
+
+// { x, logDensity } normalized to unit area by the trapezoid rule.
+function tabulateBin(bin, index) {
+  const { grid, density } = bin.samples ? densityFromSamples(bin.samples) : bin;
+  if (!grid || !density || grid.length !== density.length || grid.length < 2) {
+    throw new Error(`Free-spectrum bin ${index}: grid and density must be arrays of the same length (>= 2)`);
+  }
+  for (let i = 1; i < grid.length; i++) {
+    if (!(grid[i] > grid[i - 1])) throw new Error(`Free-spectrum bin ${index}: grid must be increasing`);
+  }
+  if (Array.prototype.some.call(density, (d) => !(d >= 0))) {
+    throw new Error(`Free-spectrum bin ${index}: densities must be non-negative`);
+  }
+
+  let area = 0;
+  let peak = 0;
+  for (let i = 0; i < grid.length; i++) {
+    if (i > 0) area += 0.5 * (density[i] + density[i - 1]) * (grid[i] - grid[i - 1]);
+    if (density[i] > peak) peak = density[i];
+  }
+  if (!(area > 0)) throw new Error(`Free-spectrum bin ${index}: density is zero everywhere`);
+
+  return {
+    x: Float64Array.from(grid),
+    logDensity: Float64Array.from(density, (d) => Math.log(Math.max(d, DENSITY_FLOOR * peak) / area)),
+  };
+}
+
+function quantile(bin, q) {
+  const { x, logDensity } = bin;
+  const cdf = new Float64Array(x.length);
+  for (let i = 1; i < x.length; i++) {
+    cdf[i] = cdf[i - 1] + 0.5 * (Math.exp(logDensity[i]) + Math.exp(logDensity[i - 1])) * (x[i] - x[i - 1]);
+  }
+  const target = q * cdf[x.length - 1];
+  for (let i = 1; i < x.length; i++) {
+    if (cdf[i] >= target) {
+      const t = (target - cdf[i - 1]) / Math.max(cdf[i] - cdf[i - 1], Number.MIN_VALUE);
+      return x[i - 1] + t * (x[i] - x[i - 1]);
+    }
+  }
+  return x[x.length - 1];
+}
+
+/* ptaData for a free-spectrum release. upperLimits holds each bin's 95%
+ * quantile as Omega_GW, for charts and tools that expect limits.
+ */
+export function parseFreeSpectrum(j, { cosmology } = {}) {
+  const variable = j.variable ?? "log10_rho";
+  const spec = FREE_SPECTRUM_VARIABLES[variable];
+  if (!spec) throw new Error(`Unknown free-spectrum variable: ${variable}`);
+  if (!Array.isArray(j.bins) || !j.bins.length) throw new Error("Free-spectrum JSON needs a non-empty bins array");
+
+  const tspan = j.tspan_years ? j.tspan_years * YEAR_S : null;
+  if (spec.needsTspan && !(tspan > 0)) throw new Error(`Free-spectrum variable ${variable} needs tspan_years`);
+
+  const freqScale = (j.frequency_unit ?? "Hz").toLowerCase() === "nhz" ? 1e-9 : 1.0;
+  const { H0_Hz: H0 } = resolveCosmology(cosmology);
+
+  const bins = j.bins.map((b, i) => {
+    const f = b.frequency * freqScale;
+    if (!(f > 0)) throw new Error(`Free-spectrum bin ${i}: frequency must be positive`);
+    return { ...tabulateBin(b, i), frequency: f, slope: spec.slope, offset: spec.offset(f, H0, tspan) };
+  });
+
+  return {
+    name: j.name ?? "PTA free spectrum",
+    likelihood: "freeSpectrum",
+    variable,
+    tspan,
+    notes: j.notes ?? "",
+    frequencies: Float64Array.from(bins, (b) => b.frequency),
+    upperLimits: Float64Array.from(bins, (b) => Math.pow(10, (quantile(b, 0.95) - b.offset) / b.slope)),
+    bins,
+  };
+}
+
+/* Log density of one bin at the model's Omega_GW. Below the grid the
+ * density stays at its first value (the noise-dominated plateau of a
+ * violin); above it, it falls off as a half-Gaussian of width 1/20 of the
+ * grid span.
+ */
+export function binLogLikelihood(bin, omega) {
+  const { x, logDensity } = bin;
+  const n = x.length;
+  const v = bin.slope * Math.log10(omega) + bin.offset;
+  if (!(v > x[0])) return logDensity[0];
+  if (v >= x[n - 1]) {
+    const z = (v - x[n - 1]) / ((x[n - 1] - x[0]) / 20);
+    return logDensity[n - 1] - 0.5 * z * z;
+  }
+
+  let lo = 0;
+  let hi = n - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (x[mid] <= v) lo = mid;
+    else hi = mid;
+  }
+  const t = (v - x[lo]) / (x[hi] - x[lo]);
+  return logDensity[lo] + t * (logDensity[hi] - logDensity[lo]);
+}
@@ -0,0 +1,197 @@
+/* src/lib/limits.js
+ * Exclusion curves: the upper limit on log10 Gmu as a function of log10 P.
+ *  - posterior: conditional posterior quantile from the samples in a
+ *    log10 P window around each grid point (posterior weights respected);
+ *    depends on the Gmu prior like any Bayesian limit
+ *  - profile:   profile likelihood from logLikelihood() on a log10 Gmu grid,
+ *    nuisance parameters maximized (Nelder–Mead inside their prior range);
+ *    one-sided limit where 2 (ln L_max - ln L) reaches z_level^2 (2.71 at 95%)
+ * Published bounds for overlays are user-supplied JSON (none ship with the
+ * app; digitize them from the papers you compare against):
+ * {
+ *  name, notes,
+ *  bounds: [{ name, reference, level, logP: number[], logGmu: number[] }]
+ * }
+ * Every bound needs a reference (citation or DOI) so the overlay says where it came from.
+ */
+
+import { logLikelihood, prepareLikelihood } from "./mcmc.js";
+import { parameterIndex } from "./model.js";
+import { normalQuantile } from "./priors.js";
+
+export const LIMIT_METHODS = Object.freeze({
+  posterior: { label: "Conditional posterior (samples)" },
+  profile: { label: "Profile likelihood" },
+});
+
+export const EXCLUSION_DEFAULTS = Object.freeze({ level: 0.95, nP: 17, nGmu: 61, minSamples: 50, maxIterations: 60 });
+
+function gridOf([lo, hi], n) {
+  return Float64Array.from({ length: n }, (_, i) => lo + ((hi - lo) * i) / (n - 1));
+}
+
+/* { method, level, points: [{ logP, logGmu, n }] } from posterior samples
+ * (objects keyed by parameter name). Windows with an effective sample size
+ * below minSamples give logGmu = null.
+ */
+export function posteriorUpperLimits(samples, { weights = null, logPRange, ...options } = {}) {
+  const { level, nP, minSamples } = { ...EXCLUSION_DEFAULTS, ...options };
+  if (!samples.length || samples[0].logGmu === undefined || samples[0].logP === undefined) {
+    throw new Error("Exclusion curves need samples of log10 Gμ and log10 P");
+  }
+  const range = logPRange ?? samples.reduce(([lo, hi], s) => [Math.min(lo, s.logP), Math.max(hi, s.logP)], [Infinity, -Infinity]);
+  const grid = gridOf(range, nP);
+  const half = (range[1] - range[0]) / (nP - 1) / 2;
+
+  const points = Array.from(grid, (logP) => {
+    const inWindow = [];
+    samples.forEach((s, k) => {
+      if (Math.abs(s.logP - logP) <= half) inWindow.push([s.logGmu, weights ? weights[k] : 1]);
+    });
+    const total = inWindow.reduce((a, [, w]) => a + w, 0);
+    const ess = (total * total) / Math.max(inWindow.reduce((a, [, w]) => a + w * w, 0), Number.MIN_VALUE);
+    if (!(ess >= minSamples)) return { logP, logGmu: null, n: Math.round(ess) };
+
+    inWindow.sort((a, b) => a[0] - b[0]);
+    const target = level * total;
+    let cum = 0;
+    let logGmu = inWindow[inWindow.length - 1][0];
+    for (let k = 0; k < inWindow.length; k++) {
+      const next = cum + inWindow[k][1];
+      if (next >= target) {
+        // interpolate between neighbouring samples in cumulative weight
+        const prev = k > 0 ? inWindow[k - 1][0] : inWindow[k][0];
+        logGmu = prev + ((target - cum) / inWindow[k][1]) * (inWindow[k][0] - prev);
+        break;
+      }
+      cum = next;
+    }
+    return { logP, logGmu, n: Math.round(ess) };
+  });
+  return { method: "posterior", level, points };
+}
+
+// Nelder–Mead maximization of f over a box; returns [x, f(x)].
+function maximizeInBox(f, x0, bounds, maxIterations) {
+  const d = x0.length;
+  const clamp = (x) => x.map((v, i) => Math.min(Math.max(v, bounds[i][0]), bounds[i][1]));
+  const evaluate = (x) => {
+    const v = f(x);
+    return Number.isFinite(v) ? v : -Number.MAX_VALUE;
+  };
+  let simplex = [clamp(x0)];
+  for (let i = 0; i < d; i++) {
+    const x = simplex[0].slice();
+    const step = 0.1 * (bounds[i][1] - bounds[i][0]);
+    x[i] += x[i] + step <= bounds[i][1] ? step : -step;
+    simplex.push(x);
+  }
+  let values = simplex.map(evaluate);
+
+  for (let it = 0; it < maxIterations; it++) {
+    const order = values.map((_, i) => i).sort((a, b) => values[b] - values[a]);
+    simplex = order.map((i) => simplex[i]);
+    values = order.map((i) => values[i]);
+    const worst = simplex[d];
+    const centroid = Array.from({ length: d }, (_, i) => simplex.slice(0, d).reduce((s, x) => s + x[i], 0) / d);
+    const along = (t) => clamp(centroid.map((c, i) => c + t * (worst[i] - c)));
+
+    const reflected = along(-1);
+    const fr = evaluate(reflected);
+    if (fr > values[0]) {
+      const expanded = along(-2);
+      const fe = evaluate(expanded);
+      [simplex[d], values[d]] = fe > fr ? [expanded, fe] : [reflected, fr];
+    } else if (fr > values[d - 1]) {
+      [simplex[d], values[d]] = [reflected, fr];
+    } else {
+      const contracted = along(0.5);
+      const fc = evaluate(contracted);
+      if (fc > values[d]) {
+        [simplex[d], values[d]] = [contracted, fc];
+      } else {
+        for (let k = 1; k <= d; k++) {
+          simplex[k] = simplex[k].map((v, i) => 0.5 * (v + simplex[0][i]));
+          values[k] = evaluate(simplex[k]);
+        }
+      }
+    }
+  }
+  const best = values.indexOf(Math.max(...values));
+  return [simplex[best], values[best]];
+}
+
+/* Profile-likelihood curve { method, level, points: [{ logP, logGmu, logGmuBest }],
+ * nuisance } for the likelihood options of a run (prepareLikelihood). The
+ * limit is null when the profile never drops by the threshold inside the
+ * log10 Gmu prior range. onProgress receives emulator and profile phases.
+ */
+export function profileUpperLimits(ptaData, options = {}, onProgress = null) {
+  const { level, nP, nGmu, maxIterations } = { ...EXCLUSION_DEFAULTS, ...options };
+  const { model, postOpts } = prepareLikelihood(ptaData, options, onProgress);
+  const iG = parameterIndex(model, "logGmu");
+  const iP = parameterIndex(model, "logP");
+  if (iG < 0 || iP < 0) throw new Error("Exclusion curves need the cosmic-string component (log10 Gμ and log10 P)");
+
+  const nuisance = model.parameters.map((_, i) => i).filter((i) => i !== iG && i !== iP);
+  const bounds = nuisance.map((i) => model.parameters[i].range);
+  const threshold = Math.pow(normalQuantile(level), 2) / 2; // in ln L
+  const gmuGrid = gridOf(model.parameters[iG].range, nGmu);
+  const pGrid = gridOf(model.parameters[iP].range, nP);
+
+  const theta = Float64Array.from(model.parameters, (p) => Math.min(Math.max(p.init[0], p.range[0]), p.range[1]));
+  const start = nuisance.map((i) => theta[i]);
+  const profileAt = (x) => {
+    nuisance.forEach((i, k) => (theta[i] = x[k]));
+    return logLikelihood(theta, model, ptaData, postOpts);
+  };
+
+  const points = Array.from(pGrid, (logP, step) => {
+    theta[iP] = logP;
+    let x = start.slice();
+    const profile = Array.from(gmuGrid, (logGmu) => {
+      theta[iG] = logGmu;
+      if (!nuisance.length) return logLikelihood(theta, model, ptaData, postOpts);
+      const [best, value] = maximizeInBox(profileAt, x, bounds, maxIterations);
+      x = best; // warm start for the next Gmu
+      return value;
+    });
+
+    const kBest = profile.indexOf(Math.max(...profile));
+    const cut = profile[kBest] - threshold;
+    let logGmu = null;
+    for (let k = kBest + 1; k < nGmu; k++) {
+      if (profile[k] <= cut) {
+        const t = (profile[k - 1] - cut) / Math.max(profile[k - 1] - profile[k], Number.MIN_VALUE);
+        logGmu = gmuGrid[k - 1] + t * (gmuGrid[k] - gmuGrid[k - 1]);
+        break;
+      }
+    }
+    if (onProgress) onProgress({ phase: "profile", step: step + 1, totalSteps: nP });
+    return { logP, logGmu, logGmuBest: gmuGrid[kBest] };
+  });
+
+  return { method: "profile", level, points, nuisance: nuisance.map((i) => model.parameters[i].name) };
+}
+
+// Validated overlay { name, notes, bounds: [{ name, reference, level, points }] } from parsed JSON.
+export function parsePublishedBounds(j) {
+  if (!Array.isArray(j?.bounds)) throw new Error("Published bounds JSON needs a bounds array");
+
+  return {
+    name: j.name ?? "Published bounds",
+    notes: j.notes ?? "",
+    bounds: j.bounds.map((b, i) => {
+      if (!Array.isArray(b.logP) || !Array.isArray(b.logGmu) || b.logP.length !== b.logGmu.length) {
+        throw new Error(`Published bound ${i}: logP and logGmu must be arrays of the same length`);
+      }
+      if (!b.reference) throw new Error(`Published bound ${i}: reference (citation or DOI) is required`);
+      return {
+        name: b.name ?? `Bound ${i + 1}`,
+        reference: b.reference,
+        level: b.level ?? 0.95,
+        points: b.logP.map((logP, k) => ({ logP, logGmu: b.logGmu[k] })),
+      };
+    }),
+  };
+}
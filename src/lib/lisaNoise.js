@@ -0,0 +1,179 @@
+/* src/lib/lisaNoise.js
+ * Analytic LISA noise model and Whittle likelihood for Omega_GW(f).
+ *  - single-link noise: optical metrology (OMS) and test-mass acceleration
+ *    at the SciRD levels, as fractional-frequency PSDs
+ *  - TDI A/E/T noise and sky-averaged GW response (equal arms), with
+ *    x = 2 pi f L / c; the T response is the usual low-order fit
+ *  - galactic confusion foreground for the mission duration (Robson, Cornish
+ *    & Liu 2019 fits, interpolated in log duration)
+ * Frequencies are log-spaced bins; bin i averages nu_i = df_i * T Fourier
+ * frequencies. The data are the expected (Asimov) periodograms of each
+ * channel for the noise, the foreground and an optional power-law Omega_GW
+ * injection, so the likelihood is a forecast of what LISA would constrain.
+ * lisaNoiseScale multiplies the instrument noise amplitude (not the foreground).
+ */
+
+import { resolveCosmology } from "./physics.js";
+
+const C_LIGHT = 299792458;
+const YEAR_S = 365.25 * 86400;
+
+export const LISA_DEFAULTS = Object.freeze({
+  armLength: 2.5e9, // m
+  omsNoise: 15e-12, // m / sqrt(Hz)
+  accNoise: 3e-15, // m s^-2 / sqrt(Hz)
+  durationYears: 4,
+  fMin: 1e-5,
+  fMax: 0.5,
+  nBins: 40,
+  channels: ["A", "E"],
+  foreground: true,
+  injection: null, // { log10Omega, tilt, fRef } power law
+});
+
+export const TDI_CHANNELS = Object.freeze({
+  A: { label: "A" },
+  E: { label: "E" },
+  T: { label: "T (null channel)" },
+});
+
+// Robson, Cornish & Liu (2019) galactic foreground fits by observation time.
+const FOREGROUND_FITS = [
+  { years: 0.5, alpha: 0.133, beta: 243, kappa: 482, gamma: 917, fk: 2.58e-3 },
+  { years: 1, alpha: 0.171, beta: 292, kappa: 1020, gamma: 1680, fk: 2.15e-3 },
+  { years: 2, alpha: 0.165, beta: 299, kappa: 611, gamma: 1340, fk: 1.73e-3 },
+  { years: 4, alpha: 0.138, beta: -221, kappa: 521, gamma: 1680, fk: 1.13e-3 },
+];
+
+// Single-link [acceleration, OMS] noise as fractional-frequency PSDs [1/Hz].
+export function singleLinkNoise(f, { omsNoise, accNoise } = LISA_DEFAULTS) {
+  const oms = omsNoise * omsNoise * (1 + Math.pow(2e-3 / f, 4)) * Math.pow((2 * Math.PI * f) / C_LIGHT, 2);
+  const acc =
+    (accNoise * accNoise * (1 + Math.pow(4e-4 / f, 2)) * (1 + Math.pow(f / 8e-3, 4))) /
+    Math.pow(2 * Math.PI * f * C_LIGHT, 2);
+  return [acc, oms];
+}
+
+export function tdiNoise(channel, f, options = LISA_DEFAULTS) {
+  const [acc, oms] = singleLinkNoise(f, options);
+  const x = (2 * Math.PI * f * options.armLength) / C_LIGHT;
+  const s2 = Math.sin(x) ** 2;
+  const c = Math.cos(x);
+  if (channel === "T") {
+    const h2 = Math.sin(x / 2) ** 2;
+    return 32 * s2 * h2 * (4 * h2 * acc + oms);
+  }
+  return 8 * s2 * (4 * (1 + c + c * c) * acc + (2 + c) * oms);
+}
+
+// Sky- and polarization-averaged response to a strain PSD.
+export function tdiResponse(channel, f, { armLength } = LISA_DEFAULTS) {
+  const x = (2 * Math.PI * f * armLength) / C_LIGHT;
+  const base = 7.2 * x * x * Math.sin(x) ** 2;
+  if (channel === "T") return (base * Math.pow(x, 6)) / (1.8e3 + 0.7 * Math.pow(x, 8));
+  return base / (1 + 0.6 * x * x);
+}
+
+function foregroundFit(years) {
+  const t = Math.log(Math.min(Math.max(years, 0.5), 4));
+  let i = 0;
+  while (i < FOREGROUND_FITS.length - 2 && t > Math.log(FOREGROUND_FITS[i + 1].years)) i++;
+  const a = FOREGROUND_FITS[i];
+  const b = FOREGROUND_FITS[i + 1];
+  const w = (t - Math.log(a.years)) / (Math.log(b.years) - Math.log(a.years));
+  const mix = (k) => a[k] + w * (b[k] - a[k]);
+  return { alpha: mix("alpha"), beta: mix("beta"), kappa: mix("kappa"), gamma: mix("gamma"), fk: mix("fk") };
+}
+
+// Galactic confusion noise as a strain PSD [1/Hz].
+export function galacticForeground(f, durationYears = LISA_DEFAULTS.durationYears) {
+  const { alpha, beta, kappa, gamma, fk } = foregroundFit(durationYears);
+  return (
+    9e-45 *
+    Math.pow(f, -7 / 3) *
+    Math.exp(-Math.pow(f, alpha) + beta * f * Math.sin(kappa * f)) *
+    (1 + Math.tanh(gamma * (fk - f)))
+  );
+}
+
+// Strain sensitivity of one channel, N / R plus the foreground [1/Hz].
+export function lisaStrainSensitivity(channel, f, options = LISA_DEFAULTS) {
+  const sh = tdiNoise(channel, f, options) / tdiResponse(channel, f, options);
+  return options.foreground ? sh + galacticForeground(f, options.durationYears) : sh;
+}
+
+/* lisaData for the Whittle likelihood. omegaNoise is the noise level of the
+ * combined channels as Omega_GW, for charts.
+ */
+export function createLISANoiseModel(options = {}, { cosmology } = {}) {
+  const opts = { ...LISA_DEFAULTS, ...options };
+  const { fMin, fMax, nBins, channels, durationYears, injection } = opts;
+  if (!(fMin > 0 && fMax > fMin)) throw new Error("LISA band needs 0 < fMin < fMax");
+  if (!(nBins >= 1)) throw new Error("LISA band needs at least one bin");
+  if (!(durationYears > 0)) throw new Error("LISA mission duration must be positive");
+  for (const c of channels) if (!TDI_CHANNELS[c]) throw new Error(`Unknown TDI channel: ${c}`);
+
+  const { H0_Hz: H0 } = resolveCosmology(cosmology);
+  const tobs = durationYears * YEAR_S;
+  const edges = Array.from({ length: nBins + 1 }, (_, i) => fMin * Math.pow(fMax / fMin, i / nBins));
+  const frequencies = Float64Array.from({ length: nBins }, (_, i) => Math.sqrt(edges[i] * edges[i + 1]));
+  const counts = Float64Array.from({ length: nBins }, (_, i) => Math.max(1, (edges[i + 1] - edges[i]) * tobs));
+  // S_h = 3 H0^2 Omega / (2 pi^2 f^3)
+  const omegaToSh = Float64Array.from(frequencies, (f) => (3 * H0 * H0) / (2 * Math.PI * Math.PI * Math.pow(f, 3)));
+  const injected = Float64Array.from(frequencies, (f) =>
+    injection ? Math.pow(10, injection.log10Omega) * Math.pow(f / (injection.fRef ?? 1e-3), injection.tilt ?? 0) : 0
+  );
+
+  const noise = {};
+  const response = {};
+  const foreground = {};
+  const data = {};
+  for (const c of channels) {
+    noise[c] = Float64Array.from(frequencies, (f) => tdiNoise(c, f, opts));
+    response[c] = Float64Array.from(frequencies, (f) => tdiResponse(c, f, opts));
+    foreground[c] = Float64Array.from(frequencies, (f, i) =>
+      opts.foreground ? response[c][i] * galacticForeground(f, durationYears) : 0
+    );
+    data[c] = Float64Array.from(
+      frequencies,
+      (_, i) => noise[c][i] + foreground[c][i] + response[c][i] * omegaToSh[i] * injected[i]
+    );
+  }
+
+  const omegaNoise = Float64Array.from(frequencies, (f, i) => {
+    const inv = channels.reduce((s, c) => s + response[c][i] / (noise[c][i] + foreground[c][i]), 0);
+    return 1 / inv / omegaToSh[i];
+  });
+
+  return {
+    name: `LISA analytic noise (${channels.join("")}, ${durationYears} yr${opts.foreground ? ", galactic foreground" : ""})`,
+    likelihood: "whittle",
+    channels: [...channels],
+    durationYears,
+    frequencies,
+    counts,
+    omegaToSh,
+    noise,
+    response,
+    foreground,
+    data,
+    omegaNoise,
+  };
+}
+
+/* Whittle log-likelihood of the channel periodograms for Omega_GW at each
+ * bin, normalized to 0 when the model matches the data.
+ */
+export function lisaWhittleLogLikelihood(lisaData, omegas, noiseScale = 1) {
+  const { channels, counts, omegaToSh, noise, response, foreground, data } = lisaData;
+  const scale2 = noiseScale * noiseScale;
+  let logL = 0;
+  for (const c of channels) {
+    for (let i = 0; i < omegas.length; i++) {
+      const model = scale2 * noise[c][i] + foreground[c][i] + response[c][i] * omegaToSh[i] * omegas[i];
+      const r = data[c][i] / model;
+      logL -= counts[i] * (r - 1 - Math.log(r));
+    }
+  }
+  return logL;
+}
@@ -1,4 +1,19 @@
-import { calculateOmegaGW } from "./physics.js";
+import { computeDiagnostics } from "./diagnostics.js";
+import { buildOmegaEmulator } from "./emulator.js";
+import { binLogLikelihood } from "./freeSpectrum.js";
+import { lisaWhittleLogLikelihood } from "./lisaNoise.js";
+import { pulsarArrayLogLikelihood } from "./pulsarArray.js";
+import { DEFAULT_MOVE_WEIGHTS, moveMixture, pickMove } from "./moves.js";
+import { createRng, rngFromState } from "./rng.js";
+import { DEFAULT_SGWB_MODELS, sgwbOmega } from "./sgwbModels.js";
+import {
+  createModel,
+  logPrior as modelLogPrior,
+  parameterIndex,
+  sampledPhysicsParameters,
+  thetaToObject,
+  toPhysical,
+} from "./model.js";
 
 export function upperLimitLogLikelihood(model, upperLimit, sigma) {
   if (!(sigma > 0)) return Number.NEGATIVE_INFINITY;
@@ -9,140 +24,560 @@ export function upperLimitLogLikelihood(model, upperLimit, sigma) {
   return 0;
 }
 
-export function logPrior(Gmu, logP) {
-  const logGmu = Math.log10(Gmu);
-  if (logGmu < -15 || logGmu > -6) return Number.NEGATIVE_INFINITY;
-  if (logP < -4 || logP > 0) return Number.NEGATIVE_INFINITY;
-  return 0;
+export function logPrior(theta, model) {
+  return modelLogPrior(model, theta);
 }
 
-export function logLikelihoodPTA(Gmu, logP, ptaData, physicsOptions = {}) {
-  const P = Math.pow(10, logP);
+/* params are physical values from toPhysical(); the model spectrum is the sum
+ * of the SGWB components (sgwbModels.js). Free-spectrum data (freeSpectrum.js)
+ * use the factorized likelihood over their bins, and mock pulsar arrays
+ * (pulsarArray.js) the correlated Gaussian one, with ptaNoiseScale scaling
+ * the pulsar noise. Upper limits use the half-Gaussian penalty, which
+ * ptaNoiseScale widens; that stand-in likelihood has no data normalization,
+ * so it carries no -ln(scale) term.
+ */
+export function logLikelihoodPTA(params, ptaData, physicsOptions = {}, components = DEFAULT_SGWB_MODELS) {
   let logL = 0;
 
+  if (ptaData.likelihood === "freeSpectrum") {
+    for (const bin of ptaData.bins) {
+      logL += binLogLikelihood(bin, sgwbOmega(bin.frequency, params, physicsOptions, components));
+    }
+    return logL;
+  }
+
+  if (ptaData.likelihood === "pulsarArray") {
+    const omegas = Float64Array.from(ptaData.frequencies, (f) => sgwbOmega(f, params, physicsOptions, components));
+    return pulsarArrayLogLikelihood(ptaData, omegas, params.ptaNoiseScale ?? 1);
+  }
+
   const { frequencies, upperLimits, errors } = ptaData;
+  const scale = params.ptaNoiseScale ?? 1;
   for (let i = 0; i < frequencies.length; i++) {
     const f = frequencies[i];
-    const model = calculateOmegaGW(f, Gmu, P, physicsOptions);
-    logL += upperLimitLogLikelihood(model, upperLimits[i], errors[i]);
+    const model = sgwbOmega(f, params, physicsOptions, components);
+    logL += upperLimitLogLikelihood(model, upperLimits[i], errors[i] * scale);
   }
   return logL;
 }
 
-// Optional LISA Gaussian likelihood around omega_forecast with sigma
-export function logLikelihoodLISA(Gmu, logP, lisaData, physicsOptions = {}) {
+/* Optional LISA likelihood: Whittle likelihood of the analytic noise model
+ * (lisaNoise.js), or a Gaussian around omega_forecast with sigma for a toy JSON.
+ */
+export function logLikelihoodLISA(params, lisaData, physicsOptions = {}, components = DEFAULT_SGWB_MODELS) {
   if (!lisaData || !lisaData.frequencies?.length) return 0;
 
-  const P = Math.pow(10, logP);
+  if (lisaData.likelihood === "whittle") {
+    const omegas = Float64Array.from(lisaData.frequencies, (f) => sgwbOmega(f, params, physicsOptions, components));
+    return lisaWhittleLogLikelihood(lisaData, omegas, params.lisaNoiseScale ?? 1);
+  }
+
   let logL = 0;
 
   const { frequencies, omegaForecast, sigma } = lisaData;
+  const scale = params.lisaNoiseScale ?? 1;
   for (let i = 0; i < frequencies.length; i++) {
     const f = frequencies[i];
-    const model = calculateOmegaGW(f, Gmu, P, physicsOptions);
-    const s = sigma[i];
+    const model = sgwbOmega(f, params, physicsOptions, components);
+    const s = sigma[i] * scale;
     if (!(s > 0)) continue;
     const r = (model - omegaForecast[i]) / s;
-    logL += -0.5 * r * r;
+    logL += -0.5 * r * r - Math.log(scale);
   }
   return logL;
 }
 
-export function logPosterior(Gmu, logP, ptaData, options = {}) {
+// PTA (+ optional LISA) log-likelihood of a sampled theta, without the prior.
+export function logLikelihood(theta, model, ptaData, options = {}) {
   const { physicsOptions = {}, lisaData = null, useLISA = false } = options;
 
-  const lp = logPrior(Gmu, logP);
-  if (!isFinite(lp)) return Number.NEGATIVE_INFINITY;
+  const params = toPhysical(model, theta, physicsOptions);
 
-  const llPta = logLikelihoodPTA(Gmu, logP, ptaData, physicsOptions);
+  const llPta = logLikelihoodPTA(params, ptaData, physicsOptions, model.components);
   if (!isFinite(llPta)) return Number.NEGATIVE_INFINITY;
 
-  const llLisa = useLISA ? logLikelihoodLISA(Gmu, logP, lisaData, physicsOptions) : 0;
+  const llLisa = useLISA ? logLikelihoodLISA(params, lisaData, physicsOptions, model.components) : 0;
   if (!isFinite(llLisa)) return Number.NEGATIVE_INFINITY;
 
-  return lp + llPta + llLisa;
+  return llPta + llLisa;
 }
 
-// Goodman–Weare style stretch move, ndim=2
-export function runEnsembleMCMC(ptaData, options = {}, onProgress = null) {
+export function logPosterior(theta, model, ptaData, options = {}) {
+  const lp = logPrior(theta, model);
+  if (!isFinite(lp)) return Number.NEGATIVE_INFINITY;
+
+  const ll = logLikelihood(theta, model, ptaData, options);
+  if (!isFinite(ll)) return Number.NEGATIVE_INFINITY;
+
+  return lp + ll;
+}
+
+// The sampled model described by run options (parameters, prior overrides, components).
+export function modelFromOptions({ parameters, priors = {}, components = DEFAULT_SGWB_MODELS } = {}) {
+  return createModel(
+    parameters,
+    Object.fromEntries(Object.entries(priors).map(([name, prior]) => [name, { prior }])),
+    components
+  );
+}
+
+/* Model and likelihood options shared by all samplers. Builds the Omega_GW
+ * emulator when requested and valid: a table built at fixed alpha / Gamma
+ * cannot serve a model that samples them, and models without strings need none.
+ * Pass model when the caller has already built it from the same options.
+ */
+export function prepareLikelihood(ptaData, options = {}, onProgress = null, model = modelFromOptions(options)) {
   const {
-    nSteps = 2000,
-    nWalkers = 32,
-    burnIn = 0.5,
+    components = DEFAULT_SGWB_MODELS,
     physicsOptions = {},
     lisaData = null,
     useLISA = false,
+    useEmulator = false,
+    emulatorOptions = {},
+  } = options;
+
+  let emulator = null;
+  if (useEmulator && components.includes("strings") && sampledPhysicsParameters(model).length === 0) {
+    const freqs = [...ptaData.frequencies];
+    if (useLISA && lisaData?.frequencies) freqs.push(...lisaData.frequencies);
+    const gridRanges = {
+      logGmuRange: model.parameters[parameterIndex(model, "logGmu")].range,
+      logPRange: model.parameters[parameterIndex(model, "logP")].range,
+    };
+    emulator = buildOmegaEmulator(freqs, physicsOptions, { ...gridRanges, ...emulatorOptions }, (p) => {
+      if (onProgress) onProgress({ phase: "emulator", step: p.done, totalSteps: p.total, acceptanceRate: 0 });
+    });
+  }
+
+  const postOpts = {
+    physicsOptions: emulator ? { ...physicsOptions, emulator } : physicsOptions,
+    lisaData,
+    useLISA,
+  };
+
+  return { model, postOpts, emulator };
+}
+
+export function emulatorSummary(emulator) {
+  return emulator ? { buildMs: emulator.buildMs, separableP: emulator.separableP, accuracy: emulator.accuracy } : null;
+}
+
+// Small ball around init, moved to the middle of the prior range if init falls outside it.
+function initialTheta(model, rng) {
+  const theta = new Float64Array(model.ndim);
+  for (let i = 0; i < model.ndim; i++) {
+    const { init, range } = model.parameters[i];
+    const [lo, hi] = range;
+    const inside = init[0] > lo && init[0] < hi;
+    const center = inside ? init[0] : 0.5 * (lo + hi);
+    const spread = Math.min(inside ? init[1] : 0.05 * (hi - lo), 0.25 * (hi - lo));
+    const v = center + spread * 2 * (rng() - 0.5);
+    theta[i] = Math.min(Math.max(v, lo), hi);
+  }
+  return theta;
+}
+
+/* Ensemble sampler on a parameter vector of any dimension. Each walker update
+ * draws a move from the `moves` mixture (see moves.js; the default is the
+ * Goodman–Weare stretch move). sampler "tempered" runs nTemps ensembles at
+ * temperatures geometrically spaced from 1 to maxTemp, each targeting
+ * prior * likelihood^beta, and proposes swaps between neighbouring
+ * temperatures after every step; only the beta = 1 ensemble is recorded.
+ *
+ * The sampler is a cooperative object: advance(n) runs at most n steps and
+ * returns, so a caller (the worker) can yield, pause or cancel in between.
+ * result() can be called at any time and summarizes the steps run so far.
+ * All mutable sampler state lives in sampler.state; checkpoint() returns it as
+ * structured-cloneable data, and passing that back as `restore` continues the
+ * run exactly (with a seeded PRNG) under possibly larger step limits.
+ */
+export function createEnsembleSampler(ptaData, options = {}, onProgress = null, restore = null) {
+  const {
+    nSteps = 2000,
+    nWalkers = 32,
+    burnIn = 0.5,
     progressEvery = 50,
-    rng = Math.random,
+    diagnosticsEvery = 200,
+    autoStop = false,
+    maxSteps = 20000,
+    tauFactor = 50,
+    tauTolerance = 0.01,
+    seed = null,
+    stream = 0,
+    sampler = "ensemble",
+    moves = DEFAULT_MOVE_WEIGHTS,
+    nTemps = 4,
+    maxTemp = 50,
   } = options;
 
-  const postOpts = { physicsOptions, lisaData, useLISA };
+  const mixture = moveMixture(moves);
+  const tuning = {
+    stretchScale: options.stretchScale ?? 2,
+    deGammaScale: options.deGammaScale ?? 1,
+    walkSubset: options.walkSubset,
+  };
 
-  let walkers = Array.from({ length: nWalkers }, () => ({
-    Gmu: 1e-11 * Math.exp(0.3 * (rng() - 0.5)),
-    logP: -2 + 0.5 * (rng() - 0.5),
-    logProb: Number.NEGATIVE_INFINITY,
-  }));
+  // A seed (serializable, see rng.js) takes precedence over an injected rng function.
+  let rng = seed !== null && seed !== undefined ? createRng(seed, stream) : (options.rng ?? Math.random);
+  if (restore?.rngState) rng = rngFromState(restore.rngState);
 
-  for (let w = 0; w < nWalkers; w++) {
-    walkers[w].logProb = logPosterior(walkers[w].Gmu, walkers[w].logP, ptaData, postOpts);
+  // Built once: checked here before the (possibly slow) emulator build, then reused.
+  const model = modelFromOptions(options);
+  const { ndim } = model;
+  if (nWalkers < 2 * ndim) {
+    throw new Error(`Need at least ${2 * ndim} walkers for ${ndim} parameters`);
   }
 
-  const samples = [];
-  const logProbs = [];
-  const a = 2.0;
+  const { postOpts, emulator } = prepareLikelihood(ptaData, options, onProgress, model);
 
-  let acceptances = 0;
-  let totalMoves = 0;
-  const burnStart = Math.floor(nSteps * burnIn);
+  // [log prior, log likelihood]; the likelihood is skipped outside the prior.
+  const evaluate = (theta) => {
+    const lp = logPrior(theta, model);
+    if (!isFinite(lp)) return [Number.NEGATIVE_INFINITY, Number.NEGATIVE_INFINITY];
+    return [lp, logLikelihood(theta, model, ptaData, postOpts)];
+  };
 
-  for (let step = 0; step < nSteps; step++) {
+  const initLevel = (beta) => {
+    const level = { beta, walkers: [], logPrior: new Float64Array(nWalkers), logL: new Float64Array(nWalkers) };
     for (let w = 0; w < nWalkers; w++) {
-      const current = walkers[w];
+      let theta = initialTheta(model, rng);
+      let [lp, ll] = evaluate(theta);
+      for (let tries = 0; !isFinite(lp + ll) && tries < 100; tries++) {
+        theta = initialTheta(model, rng);
+        [lp, ll] = evaluate(theta);
+      }
+      level.walkers.push(theta);
+      level.logPrior[w] = lp;
+      level.logL[w] = ll;
+    }
+    return level;
+  };
 
-      let j = w;
-      while (j === w) j = Math.floor(rng() * nWalkers);
-      const comp = walkers[j];
+  // Level 0 is the target (beta = 1); tempering adds hotter levels up to maxTemp.
+  const nLevels = sampler === "tempered" ? Math.max(2, nTemps) : 1;
+  const levels = restore
+    ? restore.levels.map((l) => ({
+        beta: l.beta,
+        walkers: l.walkers.map((w) => Float64Array.from(w)),
+        logPrior: Float64Array.from(l.logPrior),
+        logL: Float64Array.from(l.logL),
+      }))
+    : Array.from({ length: nLevels }, (_, k) => initLevel(Math.pow(maxTemp, -k / Math.max(1, nLevels - 1))));
 
-      const z = Math.pow((a - 1) * rng() + 1, 2) / a;
+  // Auto mode runs until the chain is longer than tauFactor * tau and tau
+  // has moved by less than tauTolerance between checks, capped at maxSteps.
+  const stepCap = autoStop ? maxSteps : nSteps;
 
-      const proposed = {
-        Gmu: comp.Gmu + z * (current.Gmu - comp.Gmu),
-        logP: comp.logP + z * (current.logP - comp.logP),
-        logProb: Number.NEGATIVE_INFINITY,
+  // chains[w][step * ndim + d] and logProbChains[w][step], kept for every step
+  // including burn-in; grown by doubling in auto mode.
+  const capacity = autoStop ? Math.min(stepCap, Math.max(4 * diagnosticsEvery, 1024)) : stepCap;
+  const state = restore
+    ? {
+        levels,
+        capacity: restore.step,
+        chains: restore.chains,
+        logProbChains: restore.logProbChains,
+        step: restore.step,
+        acceptances: restore.acceptances,
+        totalMoves: restore.totalMoves,
+        moveStats: restore.moveStats,
+        swaps: restore.swaps,
+        diagnostics: restore.diagnostics,
+        previousTau: restore.previousTau,
+        tauHistory: restore.tauHistory,
+        // an extended run is no longer bound by the old stopping decision
+        converged: autoStop && restore.converged,
+      }
+    : {
+        levels,
+        capacity,
+        chains: Array.from({ length: nWalkers }, () => new Float64Array(capacity * ndim)),
+        logProbChains: Array.from({ length: nWalkers }, () => new Float64Array(capacity)),
+        step: 0,
+        acceptances: 0,
+        totalMoves: 0,
+        // per-move counts on the beta = 1 ensemble; swap counts per neighbouring pair
+        moveStats: Object.fromEntries(mixture.map((m) => [m.name, { proposed: 0, accepted: 0 }])),
+        swaps: { proposed: new Array(levels.length - 1).fill(0), accepted: new Array(levels.length - 1).fill(0) },
+        diagnostics: null,
+        previousTau: null,
+        tauHistory: [],
+        converged: false,
       };
 
-      proposed.logProb = logPosterior(proposed.Gmu, proposed.logP, ptaData, postOpts);
+  const grow = () => {
+    state.capacity = Math.min(stepCap, Math.max(2 * state.capacity, 1024));
+    state.chains = state.chains.map((c) => {
+      const next = new Float64Array(state.capacity * ndim);
+      next.set(c);
+      return next;
+    });
+    state.logProbChains = state.logProbChains.map((c) => {
+      const next = new Float64Array(state.capacity);
+      next.set(c);
+      return next;
+    });
+  };
+
+  const proposed = new Float64Array(ndim);
 
-      const logAcceptRatio = Math.log(z) + (proposed.logProb - current.logProb);
+  const updateWalker = (level, w, isTarget) => {
+    const choice = pickMove(mixture, rng);
+    const logFactor = choice.move.propose(proposed, w, level.walkers, ndim, rng, tuning);
+    const [lp, ll] = evaluate(proposed);
+    const logAcceptRatio =
+      logFactor + (lp + level.beta * ll) - (level.logPrior[w] + level.beta * level.logL[w]);
 
-      if (Math.log(rng()) < logAcceptRatio) {
-        walkers[w] = proposed;
-        acceptances++;
+    const accepted = Math.log(rng()) < logAcceptRatio;
+    if (accepted) {
+      level.walkers[w].set(proposed);
+      level.logPrior[w] = lp;
+      level.logL[w] = ll;
+    }
+    if (isTarget) {
+      const stats = state.moveStats[choice.name];
+      stats.proposed++;
+      state.totalMoves++;
+      if (accepted) {
+        stats.accepted++;
+        state.acceptances++;
       }
-      totalMoves++;
+    }
+  };
 
-      if (step >= burnStart) {
-        samples.push({ Gmu: walkers[w].Gmu, logP: walkers[w].logP });
-        logProbs.push(walkers[w].logProb);
+  // Each walker of the hotter level proposes a swap with a random walker one level down.
+  const proposeSwaps = () => {
+    const { levels: ls } = state;
+    for (let k = ls.length - 1; k > 0; k--) {
+      const hot = ls[k];
+      const cold = ls[k - 1];
+      const dBeta = cold.beta - hot.beta;
+      for (let w = 0; w < nWalkers; w++) {
+        const j = Math.floor(rng() * nWalkers);
+        state.swaps.proposed[k - 1]++;
+        if (Math.log(rng()) < dBeta * (hot.logL[w] - cold.logL[j])) {
+          state.swaps.accepted[k - 1]++;
+          [hot.walkers[w], cold.walkers[j]] = [cold.walkers[j], hot.walkers[w]];
+          [hot.logPrior[w], cold.logPrior[j]] = [cold.logPrior[j], hot.logPrior[w]];
+          [hot.logL[w], cold.logL[j]] = [cold.logL[j], hot.logL[w]];
+        }
       }
     }
+  };
 
-    if (onProgress && (step % progressEvery === 0 || step === nSteps - 1)) {
-      onProgress({
-        step,
-        totalSteps: nSteps,
-        acceptanceRate: acceptances / Math.max(1, totalMoves),
+  const rates = (counts) => counts.accepted.map((acc, i) => acc / Math.max(1, counts.proposed[i]));
+  const moveAcceptance = () =>
+    Object.fromEntries(
+      Object.entries(state.moveStats).map(([name, c]) => [name, c.accepted / Math.max(1, c.proposed)])
+    );
+
+  const isDone = () => state.converged || state.step >= stepCap;
+
+  const reportProgress = () => {
+    if (!onProgress) return;
+    onProgress({
+      phase: "sampling",
+      step: state.step - 1,
+      totalSteps: stepCap,
+      acceptanceRate: state.acceptances / Math.max(1, state.totalMoves),
+      diagnostics: state.diagnostics,
+      autoStop: autoStop
+        ? { targetSteps: state.diagnostics ? Math.ceil(tauFactor * state.diagnostics.maxTau) : null }
+        : null,
+      moveAcceptance: moveAcceptance(),
+      swapAcceptance: state.levels.length > 1 ? rates(state.swaps) : null,
+    });
+  };
+
+  const advance = (count = Infinity) => {
+    for (let n = 0; n < count && !isDone(); n++) {
+      const step = state.step;
+      if (step === state.capacity) grow();
+
+      state.levels.forEach((level, k) => {
+        for (let w = 0; w < nWalkers; w++) updateWalker(level, w, k === 0);
       });
+      if (state.levels.length > 1) proposeSwaps();
+
+      const target = state.levels[0];
+      for (let w = 0; w < nWalkers; w++) {
+        state.chains[w].set(target.walkers[w], step * ndim);
+        state.logProbChains[w][step] = target.logPrior[w] + target.logL[w];
+      }
+
+      const done = step + 1;
+      state.step = done;
+      if (done % diagnosticsEvery === 0) {
+        // Auto mode checks tau over the whole chain (as emcee does); fixed runs
+        // use the post-burn-in part, or the second half while still burning in.
+        const discard = autoStop ? 0 : Math.min(Math.floor(nSteps * burnIn), Math.floor(done / 2));
+        state.diagnostics = computeDiagnostics(state.chains, done, model.parameters, { discard });
+        if (autoStop && state.diagnostics) {
+          const tau = state.diagnostics.parameters.map((p) => p.tau);
+          const prev = state.previousTau;
+          state.tauHistory.push({ step: done, maxTau: state.diagnostics.maxTau });
+          state.converged =
+            prev !== null &&
+            tau.every((t, i) => done > tauFactor * t && Math.abs(prev[i] - t) / t < tauTolerance);
+          state.previousTau = tau;
+        }
+      }
+
+      if (step % progressEvery === 0 || isDone()) reportProgress();
     }
-  }
+    return isDone();
+  };
+
+  const result = () => {
+    const stepsRun = state.step;
+    const chains = state.chains.map((c) => c.slice(0, stepsRun * ndim));
+    const logProbChains = state.logProbChains.map((c) => c.slice(0, stepsRun));
+
+    // Auto mode: burn-in 2 max(tau), thinning 0.5 min(tau) from the final estimate
+    let burnSteps = Math.floor(stepsRun * burnIn);
+    let thin = 1;
+    if (autoStop) {
+      const final = computeDiagnostics(chains, stepsRun, model.parameters);
+      if (final) {
+        const taus = final.parameters.map((p) => p.tau);
+        burnSteps = Math.min(Math.ceil(2 * Math.max(...taus)), stepsRun - 1);
+        thin = Math.max(1, Math.floor(0.5 * Math.min(...taus)));
+      }
+    }
+
+    const samples = [];
+    const logProbs = [];
+    for (let s = burnSteps; s < stepsRun; s += thin) {
+      for (let w = 0; w < nWalkers; w++) {
+        samples.push(thetaToObject(model, chains[w].subarray(s * ndim, (s + 1) * ndim)));
+        logProbs.push(logProbChains[w][s]);
+      }
+    }
+
+    return {
+      parameters: model.parameters,
+      components: model.components,
+      samples,
+      logProbs,
+      chains,
+      diagnostics: computeDiagnostics(chains, stepsRun, model.parameters, { discard: burnSteps }),
+      acceptanceRate: state.acceptances / Math.max(1, state.totalMoves),
+      nWalkers,
+      nSteps: stepsRun,
+      burnIn: stepsRun ? burnSteps / stepsRun : 0,
+      burnSteps,
+      thin,
+      complete: isDone(),
+      seed: seed ?? null,
+      stream,
+      autoStop: autoStop
+        ? { converged: state.converged, maxSteps, tauFactor, tauTolerance, tauHistory: state.tauHistory }
+        : null,
+      sampler,
+      moveStats: state.moveStats,
+      tempering:
+        state.levels.length > 1
+          ? {
+              betas: state.levels.map((l) => l.beta),
+              swapProposed: state.swaps.proposed,
+              swapAccepted: state.swaps.accepted,
+            }
+          : null,
+      emulator: emulatorSummary(emulator),
+    };
+  };
+
+  const checkpoint = () => ({
+    step: state.step,
+    levels: state.levels.map((l) => ({
+      beta: l.beta,
+      walkers: l.walkers.map((w) => w.slice()),
+      logPrior: l.logPrior.slice(),
+      logL: l.logL.slice(),
+    })),
+    chains: state.chains.map((c) => c.slice(0, state.step * ndim)),
+    logProbChains: state.logProbChains.map((c) => c.slice(0, state.step)),
+    acceptances: state.acceptances,
+    totalMoves: state.totalMoves,
+    moveStats: state.moveStats,
+    swaps: state.swaps,
+    diagnostics: state.diagnostics,
+    previousTau: state.previousTau,
+    tauHistory: state.tauHistory,
+    converged: state.converged,
+    rngState: typeof rng.getState === "function" ? rng.getState() : null,
+  });
+
+  return { model, state, advance, result, isDone, checkpoint };
+}
+
+// Blocking run to completion (main-thread fallback and scripts).
+export function runEnsembleMCMC(ptaData, options = {}, onProgress = null) {
+  const sampler = createEnsembleSampler(ptaData, options, onProgress);
+  sampler.advance();
+  return sampler.result();
+}
+
+/* Merge results of independent ensembles run on the same model (one per
+ * worker). Chains are pooled walker-wise, so split-R-hat also compares
+ * ensembles; auto-mode runs can stop at different lengths, and the pooled
+ * diagnostics use the steps all ensembles share.
+ */
+export function mergeEnsembleResults(results) {
+  if (results.length === 1) return results[0];
+
+  const { parameters } = results[0];
+  const chains = results.flatMap((r) => r.chains);
+  const commonSteps = Math.min(...results.map((r) => r.nSteps));
+  const burnSteps = Math.max(...results.map((r) => r.burnSteps));
+  const moves = results.map((r) => r.nWalkers * r.nSteps);
+  const totalMoves = moves.reduce((s, m) => s + m, 0);
 
   return {
-    samples,
-    logProbs,
-    acceptanceRate: acceptances / Math.max(1, totalMoves),
-    nWalkers,
-    nSteps,
-    burnIn,
+    ...results[0],
+    samples: results.flatMap((r) => r.samples),
+    logProbs: results.flatMap((r) => r.logProbs),
+    chains,
+    diagnostics: computeDiagnostics(chains, commonSteps, parameters, {
+      discard: Math.min(burnSteps, Math.floor(commonSteps / 2)),
+    }),
+    acceptanceRate: results.reduce((s, r, i) => s + r.acceptanceRate * moves[i], 0) / Math.max(1, totalMoves),
+    nWalkers: results.reduce((s, r) => s + r.nWalkers, 0),
+    nSteps: Math.max(...results.map((r) => r.nSteps)),
+    burnSteps,
+    thin: Math.max(...results.map((r) => r.thin)),
+    complete: results.every((r) => r.complete),
+    autoStop: results[0].autoStop
+      ? { ...results[0].autoStop, converged: results.every((r) => r.autoStop.converged) }
+      : null,
+    moveStats: Object.fromEntries(
+      Object.keys(results[0].moveStats).map((name) => [
+        name,
+        {
+          proposed: results.reduce((s, r) => s + r.moveStats[name].proposed, 0),
+          accepted: results.reduce((s, r) => s + r.moveStats[name].accepted, 0),
+        },
+      ])
+    ),
+    tempering: results[0].tempering
+      ? {
+          betas: results[0].tempering.betas,
+          swapProposed: results[0].tempering.betas.slice(1).map((_, k) =>
+            results.reduce((s, r) => s + r.tempering.swapProposed[k], 0)
+          ),
+          swapAccepted: results[0].tempering.betas.slice(1).map((_, k) =>
+            results.reduce((s, r) => s + r.tempering.swapAccepted[k], 0)
+          ),
+        }
+      : null,
+    ensembles: results.map((r) => ({
+      stream: r.stream,
+      nWalkers: r.nWalkers,
+      nSteps: r.nSteps,
+      burnSteps: r.burnSteps,
+      thin: r.thin,
+      acceptanceRate: r.acceptanceRate,
+      diagnostics: r.diagnostics,
+    })),
   };
 }
@@ -0,0 +1,272 @@
+/* src/lib/model.js
+ * Parameter model for the samplers: which parameters are sampled, their
+ * bounds, and how a sampled coordinate maps to the physical value used by
+ * the likelihood. Samplers only ever see a Float64Array theta in the order
+ * of model.parameters; everything below converts between the two views.
+ *
+ * Parameter fields:
+ *  - name:      sampled coordinate (also the key in sample objects / CSV)
+ *  - label:     axis / table label
+ *  - physical:  key of the physical value (e.g. Gmu for logGmu)
+ *  - transform: "log10" (physical = 10^theta) or "identity"
+ *  - prior:     prior spec on the sampled coordinate (see priors.js)
+ *  - bounds:    hard support of the prior (derived, may be infinite)
+ *  - range:     finite display range of the prior (derived); sliders, chart
+ *               domains and emulator grids all read it from here
+ *  - init:      [center, spread] for walker initialization
+ *  - physics:   true if the value is forwarded to calculateOmegaGW, which
+ *               means a tabulated emulator built at fixed values is invalid
+ *  - component: SGWB component (sgwbModels.js) the parameter belongs to; it
+ *               is only part of models that include that component, and
+ *               required parameters are sampled whenever it is included
+ */
+
+import { logPriorDensity, priorAllowed, priorDisplayRange, priorSupport, validatePrior } from "./priors.js";
+import { DEFAULT_SGWB_MODELS, validateComponents } from "./sgwbModels.js";
+
+export const TRANSFORMS = Object.freeze({
+  identity: (x) => x,
+  log10: (x) => Math.pow(10, x),
+});
+
+export const PARAMETER_LIBRARY = Object.freeze({
+  logGmu: {
+    label: "log10(Gμ)",
+    physical: "Gmu",
+    transform: "log10",
+    prior: { type: "uniform", min: -15, max: -6 },
+    init: [-11, 0.15],
+    component: "strings",
+    required: true,
+  },
+  logP: {
+    label: "log10(P)",
+    physical: "P",
+    transform: "log10",
+    prior: { type: "uniform", min: -4, max: 0 },
+    init: [-2, 0.25],
+    component: "strings",
+    required: true,
+  },
+  logAlpha: {
+    label: "log10(α)",
+    physical: "alpha",
+    transform: "log10",
+    prior: { type: "uniform", min: -3, max: -0.5 },
+    init: [-1, 0.1],
+    component: "strings",
+    physics: true,
+  },
+  Gamma: {
+    label: "Γ",
+    physical: "Gamma",
+    transform: "identity",
+    prior: { type: "uniform", min: 10, max: 150 },
+    init: [50, 5],
+    component: "strings",
+    physics: true,
+  },
+  nSpecies: {
+    label: "N species",
+    physical: "nSpecies",
+    transform: "identity",
+    prior: { type: "uniform", min: 1, max: 10 },
+    init: [2, 0.5],
+    component: "strings",
+  },
+  logA: {
+    label: "log10(A_SMBHB)",
+    physical: "A",
+    transform: "log10",
+    prior: { type: "uniform", min: -18, max: -13 },
+    init: [-15, 0.3],
+    component: "smbhb",
+    required: true,
+  },
+  gamma: {
+    label: "γ_SMBHB",
+    physical: "gamma",
+    transform: "identity",
+    prior: { type: "uniform", min: 0, max: 7 },
+    init: [13 / 3, 0.3],
+    component: "smbhb",
+    required: true,
+  },
+  logOmegaB: {
+    label: "log10(Ω_b)",
+    physical: "OmegaB",
+    transform: "log10",
+    prior: { type: "uniform", min: -14, max: -4 },
+    init: [-9, 0.5],
+    component: "brokenPowerLaw",
+    required: true,
+  },
+  logFBreak: {
+    label: "log10(f_b / Hz)",
+    physical: "fBreak",
+    transform: "log10",
+    prior: { type: "uniform", min: -10, max: -6 },
+    init: [-8, 0.3],
+    component: "brokenPowerLaw",
+    required: true,
+  },
+  n1: {
+    label: "n₁ (below f_b)",
+    physical: "n1",
+    transform: "identity",
+    prior: { type: "uniform", min: 0, max: 5 },
+    init: [3, 0.3],
+    component: "brokenPowerLaw",
+    required: true,
+  },
+  n2: {
+    label: "n₂ (above f_b)",
+    physical: "n2",
+    transform: "identity",
+    prior: { type: "uniform", min: -5, max: 0 },
+    init: [-1, 0.3],
+    component: "brokenPowerLaw",
+    required: true,
+  },
+  logAlphaPT: {
+    label: "log10(α_PT)",
+    physical: "alphaPT",
+    transform: "log10",
+    prior: { type: "uniform", min: -3, max: 1 },
+    init: [-1, 0.3],
+    component: "phaseTransition",
+    required: true,
+  },
+  logBetaH: {
+    label: "log10(β/H*)",
+    physical: "betaOverH",
+    transform: "log10",
+    prior: { type: "uniform", min: 0, max: 4 },
+    init: [1.5, 0.3],
+    component: "phaseTransition",
+    required: true,
+  },
+  logTstar: {
+    label: "log10(T* / GeV)",
+    physical: "Tstar",
+    transform: "log10",
+    prior: { type: "uniform", min: -3, max: 2 },
+    init: [-1, 0.3],
+    component: "phaseTransition",
+    required: true,
+  },
+  ptaNoiseScale: {
+    label: "PTA σ scale",
+    physical: "ptaNoiseScale",
+    transform: "identity",
+    prior: { type: "loguniform", min: 0.5, max: 3 },
+    init: [1, 0.1],
+  },
+  lisaNoiseScale: {
+    label: "LISA σ scale",
+    physical: "lisaNoiseScale",
+    transform: "identity",
+    prior: { type: "loguniform", min: 0.5, max: 3 },
+    init: [1, 0.1],
+  },
+});
+
+export const DEFAULT_PARAMETERS = Object.freeze(["logGmu", "logP"]);
+
+// Physical values used when a parameter is not sampled (alpha / Gamma fall back to physicsOptions).
+const FIXED_DEFAULTS = Object.freeze({ nSpecies: 1, ptaNoiseScale: 1, lisaNoiseScale: 1 });
+
+// Whether a library parameter exists in a model with these SGWB components.
+export function inComponents(name, components = DEFAULT_SGWB_MODELS) {
+  const { component } = PARAMETER_LIBRARY[name];
+  return !component || components.includes(component);
+}
+
+/* names: optional parameters to sample; those of components not in the model
+ * are dropped, so a parameter selection survives toggling components.
+ */
+export function createModel(names = DEFAULT_PARAMETERS, overrides = {}, components = DEFAULT_SGWB_MODELS) {
+  validateComponents(components);
+  const wanted = new Set(names);
+  for (const [name, spec] of Object.entries(PARAMETER_LIBRARY)) {
+    if (spec.required) wanted.add(name);
+  }
+
+  const parameters = [];
+  for (const name of wanted) {
+    const spec = PARAMETER_LIBRARY[name];
+    if (!spec) throw new Error(`Unknown model parameter: ${name}`);
+    if (!inComponents(name, components)) continue;
+    const merged = { name, ...spec, ...(overrides[name] ?? {}) };
+    if (!TRANSFORMS[merged.transform]) throw new Error(`Unknown transform for ${name}: ${merged.transform}`);
+    try {
+      validatePrior(merged.prior);
+      if (!priorAllowed(merged.prior.type, merged.transform)) {
+        throw new Error("log-uniform prior on a log10 parameter; use Uniform, which is log-uniform in the physical value");
+      }
+    } catch (e) {
+      throw new Error(`${merged.label}: ${e.message}`);
+    }
+    merged.bounds = priorSupport(merged.prior);
+    merged.range = priorDisplayRange(merged.prior);
+    parameters.push(merged);
+  }
+
+  return { parameters, ndim: parameters.length, components: [...components] };
+}
+
+// Finite display range of a library parameter under an optional prior override.
+export function parameterRange(name, prior = PARAMETER_LIBRARY[name].prior) {
+  return priorDisplayRange(prior);
+}
+
+export function logPrior(model, theta) {
+  let lp = 0;
+  for (let i = 0; i < model.ndim; i++) {
+    lp += logPriorDensity(model.parameters[i].prior, theta[i]);
+    if (lp === Number.NEGATIVE_INFINITY) return lp;
+  }
+  return lp;
+}
+
+/* Hard prior edges [lo, hi] of a parameter (its support, not the display
+ * range), null on unbounded sides; e.g. where a KDE may reflect.
+ */
+export function priorEdges(parameter) {
+  return parameter.bounds.map((v) => (Number.isFinite(v) ? v : null));
+}
+
+export function parameterIndex(model, name) {
+  return model.parameters.findIndex((p) => p.name === name);
+}
+
+export function inBounds(model, theta) {
+  for (let i = 0; i < model.ndim; i++) {
+    const [lo, hi] = model.parameters[i].bounds;
+    if (!(theta[i] >= lo && theta[i] <= hi)) return false;
+  }
+  return true;
+}
+
+export function toPhysical(model, theta, physicsOptions = {}) {
+  const out = {
+    alpha: physicsOptions.alpha ?? 0.1,
+    Gamma: physicsOptions.Gamma ?? 50,
+    ...FIXED_DEFAULTS,
+  };
+  for (let i = 0; i < model.ndim; i++) {
+    const p = model.parameters[i];
+    out[p.physical] = TRANSFORMS[p.transform](theta[i]);
+  }
+  return out;
+}
+
+export function thetaToObject(model, theta) {
+  const out = {};
+  for (let i = 0; i < model.ndim; i++) out[model.parameters[i].name] = theta[i];
+  return out;
+}
+
+export function sampledPhysicsParameters(model) {
+  return model.parameters.filter((p) => p.physics).map((p) => p.name);
+}
@@ -0,0 +1,99 @@
+/* src/lib/moves.js
+ * Ensemble proposal moves. Each move proposes a new position for walker w
+ * from the other walkers of the same ensemble (updated in place, one walker
+ * at a time) and returns the log Hastings factor of the proposal.
+ *   propose(out, w, walkers, ndim, rng, tuning) -> log factor
+ *  - stretch: Goodman & Weare (2010) affine-invariant stretch, scale a
+ *  - de:      differential evolution (ter Braak 2006), gamma = 2.38/sqrt(2 ndim)
+ *             times deGammaScale with 1e-5 jitter; every 10th proposal uses
+ *             gamma = 1 to jump between modes
+ *  - walk:    Goodman & Weare walk move on a random subset of walkers
+ */
+
+import { normal } from "./rng.js";
+
+function otherWalker(w, n, rng, exclude = -1) {
+  let j = w;
+  while (j === w || j === exclude) j = Math.floor(rng() * n);
+  return j;
+}
+
+export const MOVES = Object.freeze({
+  stretch: {
+    label: "Stretch",
+    propose(out, w, walkers, ndim, rng, { stretchScale = 2 }) {
+      const a = stretchScale;
+      const current = walkers[w];
+      const comp = walkers[otherWalker(w, walkers.length, rng)];
+      const z = Math.pow((a - 1) * rng() + 1, 2) / a;
+      for (let d = 0; d < ndim; d++) out[d] = comp[d] + z * (current[d] - comp[d]);
+      return (ndim - 1) * Math.log(z);
+    },
+  },
+  de: {
+    label: "Differential evolution",
+    propose(out, w, walkers, ndim, rng, { deGammaScale = 1 }) {
+      const n = walkers.length;
+      const j = otherWalker(w, n, rng);
+      const k = otherWalker(w, n, rng, j);
+      const modeHop = rng() < 0.1;
+      const gamma = modeHop ? 1 : (deGammaScale * 2.38) / Math.sqrt(2 * ndim);
+      const g = gamma * (1 + 1e-5 * normal(rng));
+      const current = walkers[w];
+      for (let d = 0; d < ndim; d++) out[d] = current[d] + g * (walkers[j][d] - walkers[k][d]);
+      return 0;
+    },
+  },
+  walk: {
+    label: "Walk",
+    propose(out, w, walkers, ndim, rng, { walkSubset = ndim + 1 }) {
+      const n = walkers.length;
+      const size = Math.max(2, Math.min(walkSubset, n - 1));
+      const subset = [];
+      while (subset.length < size) {
+        const j = otherWalker(w, n, rng);
+        if (!subset.includes(j)) subset.push(j);
+      }
+      // one normal deviate per subset walker, shared across dimensions
+      const zs = subset.map(() => normal(rng));
+
+      const current = walkers[w];
+      out.set(current);
+      for (let d = 0; d < ndim; d++) {
+        let mean = 0;
+        for (const j of subset) mean += walkers[j][d];
+        mean /= size;
+        subset.forEach((j, m) => {
+          out[d] += zs[m] * (walkers[j][d] - mean);
+        });
+      }
+      return 0;
+    },
+  },
+});
+
+export const DEFAULT_MOVE_WEIGHTS = Object.freeze({ stretch: 1, de: 0, walk: 0 });
+
+/* Normalized cumulative weights over the registered moves with weight > 0,
+ * e.g. { stretch: 0.7, de: 0.3 }.
+ */
+export function moveMixture(weights = DEFAULT_MOVE_WEIGHTS) {
+  const entries = Object.entries(weights).filter(([, wgt]) => wgt > 0);
+  for (const [name] of entries) {
+    if (!MOVES[name]) throw new Error(`Unknown move: ${name}`);
+  }
+  if (entries.length === 0) throw new Error("At least one move needs a positive weight");
+  const total = entries.reduce((s, [, wgt]) => s + wgt, 0);
+  let acc = 0;
+  return entries.map(([name, wgt]) => {
+    acc += wgt / total;
+    return { name, move: MOVES[name], cumulative: acc };
+  });
+}
+
+// Draws from the mixture; a single-move mixture consumes no random numbers.
+export function pickMove(mixture, rng) {
+  if (mixture.length === 1) return mixture[0];
+  const u = rng();
+  return mixture.find((m) => u < m.cumulative) ?? mixture[mixture.length - 1];
+}
@@ -0,0 +1,457 @@
+/* src/lib/nested.js
+ * Dynamic nested sampling for the marginal likelihood (evidence) Z.
+ * Points live in the unit cube and map to parameters through each prior's
+ * ppf, so the likelihood is the same logLikelihood used by the MCMC samplers.
+ *  - baseline run with nLive points until the remaining evidence is below dlogz
+ *  - nBatches extra runs of batchLive points between the likelihood levels
+ *    that carry most of the posterior mass (importance >= importanceFraction
+ *    of the peak), as in dynesty's dynamic nested sampling
+ *  - new points come from a random walk constrained to L > L*, started at a
+ *    live point and scaled by the live points' spread
+ * Every point records the level it was born at, so the number of live points
+ * at each death, and hence the prior-volume shrinkage, is recovered from the
+ * merged set of points; independent runs (one per worker) merge the same way.
+ * The evidence error is the spread of ln Z over simulated shrinkage draws.
+ * Likelihood plateaus (the upper-limit likelihood is flat below every limit)
+ * are ordered by a uniform tie-breaker drawn with each point.
+ */
+
+import { emulatorSummary, logLikelihood, prepareLikelihood } from "./mcmc.js";
+import { logPrior, thetaToObject } from "./model.js";
+import { priorPpf } from "./priors.js";
+import { createRng, normal } from "./rng.js";
+
+// PRNG stream offset of the evidence-error simulations, clear of the pool's sampler streams.
+const EVIDENCE_STREAM_OFFSET = 0x10000;
+
+// Birth level of points drawn from the full prior.
+const PRIOR_KEY = Object.freeze({ logL: Number.NEGATIVE_INFINITY, tie: Number.NEGATIVE_INFINITY });
+
+// Walks that accept nothing keep going up to this many times the walk length.
+const MAX_WALK_FACTOR = 20;
+
+function keyLess(aL, aT, bL, bT) {
+  return aL < bL || (aL === bL && aT < bT);
+}
+
+function compareKeys(a, b) {
+  if (keyLess(a.logL, a.tie, b.logL, b.tie)) return -1;
+  return keyLess(b.logL, b.tie, a.logL, a.tie) ? 1 : 0;
+}
+
+function logAddExp(a, b) {
+  if (a === Number.NEGATIVE_INFINITY) return b;
+  if (b === Number.NEGATIVE_INFINITY) return a;
+  const m = Math.max(a, b);
+  return m + Math.log(Math.exp(a - m) + Math.exp(b - m));
+}
+
+function logSumExp(values) {
+  let m = Number.NEGATIVE_INFINITY;
+  for (const v of values) if (v > m) m = v;
+  if (m === Number.NEGATIVE_INFINITY) return m;
+  let s = 0;
+  for (const v of values) s += Math.exp(v - m);
+  return m + Math.log(s);
+}
+
+// Number of births strictly below (logL, tie) in births sorted by compareKeys.
+function countBelow(births, logL, tie) {
+  let lo = 0;
+  let hi = births.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (keyLess(births[mid].logL, births[mid].tie, logL, tie)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/* Evidence from points { logL, tie, birthLogL, birthTie } sorted by (logL, tie).
+ * Returns ln Z, the posterior log-weights and the information H with the
+ * expected shrinkage ln t = -1/n; with rng, also the standard deviation of
+ * ln Z over nSimulations draws of t ~ Beta(n, 1).
+ */
+export function nestedEvidence(points, { rng = null, nSimulations = 64 } = {}) {
+  const births = points.map((p) => ({ logL: p.birthLogL, tie: p.birthTie })).sort(compareKeys);
+  const nLive = points.map((p, i) => Math.max(1, countBelow(births, p.logL, p.tie) - i));
+
+  const logWeightsFor = (logShrink) => {
+    const out = new Float64Array(points.length);
+    let logX = 0;
+    for (let i = 0; i < points.length; i++) {
+      const lt = logShrink(nLive[i]);
+      out[i] = points[i].logL + logX + Math.log(-Math.expm1(lt));
+      logX += lt;
+    }
+    return out;
+  };
+
+  const logWeights = logWeightsFor((n) => -1 / n);
+  const logZ = logSumExp(logWeights);
+
+  let information = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p = Math.exp(logWeights[i] - logZ);
+    if (p > 0) information += p * (points[i].logL - logZ);
+  }
+
+  let logZErr = null;
+  if (rng && points.length) {
+    const draws = [];
+    for (let s = 0; s < nSimulations; s++) {
+      draws.push(
+        logSumExp(
+          logWeightsFor((n) => {
+            let u = 0;
+            while (u === 0) u = rng();
+            return Math.log(u) / n;
+          })
+        )
+      );
+    }
+    const mean = draws.reduce((a, b) => a + b, 0) / draws.length;
+    logZErr = Math.sqrt(draws.reduce((a, b) => a + (b - mean) * (b - mean), 0) / Math.max(1, draws.length - 1));
+  }
+
+  return { logZ, logZErr, information, logWeights, nLive };
+}
+
+/* Result in the shape of runEnsembleMCMC's: samples (all dead points, in
+ * likelihood order) carry normalized weights for kde2D; evidence holds ln Z.
+ */
+function nestedResult(points, base, rng, nSimulations = 64) {
+  const { logZ, logZErr, information, logWeights } = nestedEvidence(points, { rng, nSimulations });
+  const weights = Array.from(logWeights, (lw) => Math.exp(lw - logZ));
+  const ess = 1 / weights.reduce((s, w) => s + w * w, 0);
+
+  return {
+    ...base,
+    samples: points.map((p) => p.sample),
+    weights,
+    logProbs: points.map((p) => p.logProb),
+    chains: [],
+    diagnostics: null,
+    burnIn: 0,
+    burnSteps: 0,
+    thin: 1,
+    autoStop: null,
+    sampler: "nested",
+    moveStats: null,
+    tempering: null,
+    evidence: { logZ, logZErr, information, ess, nPoints: points.length },
+    // birth / death levels, needed to merge runs
+    nestedPoints: {
+      logL: points.map((p) => p.logL),
+      tie: points.map((p) => p.tie),
+      birthLogL: points.map((p) => p.birthLogL),
+      birthTie: points.map((p) => p.birthTie),
+    },
+  };
+}
+
+function resultPoints(result) {
+  const { nestedPoints: np } = result;
+  return result.samples.map((sample, i) => ({
+    sample,
+    logProb: result.logProbs[i],
+    logL: np.logL[i],
+    tie: np.tie[i],
+    birthLogL: np.birthLogL[i],
+    birthTie: np.birthTie[i],
+  }));
+}
+
+export function createNestedSampler(ptaData, options = {}, onProgress = null, restore = null) {
+  const {
+    nLive = 250,
+    dlogz = 0.1,
+    nBatches = 3,
+    batchLive = 100,
+    importanceFraction = 0.8,
+    walks = 25,
+    maxIterations = 50000,
+    nSimulations = 64,
+    progressEvery = 50,
+    seed = null,
+    stream = 0,
+  } = options;
+  if (restore) throw new Error("Nested sampling runs cannot be resumed from a checkpoint");
+
+  const rng = seed !== null && seed !== undefined ? createRng(seed, stream) : (options.rng ?? Math.random);
+  const { model, postOpts, emulator } = prepareLikelihood(ptaData, options, onProgress);
+  const { ndim } = model;
+  if (nLive < ndim + 1) throw new Error(`Need at least ${ndim + 1} live points for ${ndim} parameters`);
+
+  const state = {
+    step: 0,
+    points: [], // dead points of every run, in death order
+    live: [], // live points of the run in flight
+    batch: 0,
+    logZ: Number.NEGATIVE_INFINITY,
+    remaining: Number.POSITIVE_INFINITY, // ln Z(with live points) - ln Z, baseline run
+    calls: 0,
+    proposed: 0,
+    accepted: 0,
+    scale: 1,
+    finished: false,
+    truncated: false,
+  };
+
+  const uniform = () => {
+    let u = 0;
+    while (u === 0) u = rng();
+    return u;
+  };
+
+  const evaluatePoint = (u, birth) => {
+    const theta = Float64Array.from(u, (ui, d) => priorPpf(model.parameters[d].prior, ui));
+    const logL = logLikelihood(theta, model, ptaData, postOpts);
+    state.calls++;
+    return {
+      u,
+      logL,
+      tie: rng(),
+      birthLogL: birth.logL,
+      birthTie: birth.tie,
+      sample: thetaToObject(model, theta),
+      logProb: logL + logPrior(model, theta),
+    };
+  };
+
+  // Per-dimension standard deviation of a point set in the unit cube.
+  const spread = (pts) => {
+    const sd = new Float64Array(ndim);
+    for (let d = 0; d < ndim; d++) {
+      let mean = 0;
+      for (const p of pts) mean += p.u[d];
+      mean /= pts.length;
+      let v = 0;
+      for (const p of pts) v += (p.u[d] - mean) * (p.u[d] - mean);
+      sd[d] = Math.max(Math.sqrt(v / Math.max(1, pts.length - 1)), 1e-6);
+    }
+    return sd;
+  };
+
+  /* Random walk from start, constrained to keys above bound; the step scale
+   * adapts towards 50% acceptance (dynesty's rwalk rule).
+   */
+  const walkFrom = (start, bound, sd) => {
+    let current = null;
+    let u = start.u;
+    let accepted = 0;
+    let rejected = 0;
+    for (let i = 0; i < walks || (accepted === 0 && i < MAX_WALK_FACTOR * walks); i++) {
+      const v = new Float64Array(ndim);
+      let inside = true;
+      for (let d = 0; d < ndim; d++) {
+        v[d] = u[d] + state.scale * sd[d] * normal(rng);
+        if (!(v[d] > 0 && v[d] < 1)) inside = false;
+      }
+      if (!inside) {
+        rejected++;
+        continue;
+      }
+      const p = evaluatePoint(v, bound);
+      if (keyLess(bound.logL, bound.tie, p.logL, p.tie)) {
+        current = p;
+        u = v;
+        accepted++;
+      } else {
+        rejected++;
+      }
+    }
+    if (accepted > rejected) state.scale *= Math.exp(1 / accepted);
+    else if (accepted < rejected) state.scale /= Math.exp(1 / rejected);
+    state.accepted += accepted;
+    state.proposed += accepted + rejected;
+    return current ?? { ...start, birthLogL: bound.logL, birthTie: bound.tie };
+  };
+
+  const drawPrior = () => evaluatePoint(Float64Array.from({ length: ndim }, uniform), PRIOR_KEY);
+
+  /* One nested sampling run of n live points born at lower, until the worst
+   * live point passes upper (or, without upper, until the remaining evidence
+   * is below dlogz). Yields after every likelihood-constrained draw.
+   */
+  function* runThread(n, lower, upper) {
+    const seeds = lower === PRIOR_KEY ? null : state.points.filter((p) => compareKeys(lower, p) < 0);
+    const seedSpread = seeds && seeds.length ? spread(seeds) : null;
+    state.live = [];
+    for (let i = 0; i < n; i++) {
+      state.live.push(
+        seedSpread ? walkFrom(seeds[Math.floor(rng() * seeds.length)], lower, seedSpread) : drawPrior()
+      );
+      state.step++;
+      yield;
+    }
+
+    const { live } = state;
+    let logX = 0;
+    for (;;) {
+      let worst = 0;
+      for (let i = 1; i < n; i++) if (compareKeys(live[i], live[worst]) < 0) worst = i;
+      const dead = live[worst];
+
+      if (upper) {
+        if (compareKeys(dead, upper) >= 0) break;
+      } else {
+        let maxLogL = Number.NEGATIVE_INFINITY;
+        for (const p of live) if (p.logL > maxLogL) maxLogL = p.logL;
+        state.remaining = logAddExp(state.logZ, maxLogL + logX) - state.logZ;
+        if (state.remaining < dlogz) break;
+      }
+      if (state.step >= maxIterations) {
+        state.truncated = true;
+        break;
+      }
+
+      state.points.push(dead);
+      if (!upper) {
+        state.logZ = logAddExp(state.logZ, dead.logL + logX + Math.log(-Math.expm1(-1 / n)));
+        logX -= 1 / n;
+      }
+      const start = n > 1 ? live[(worst + 1 + Math.floor(rng() * (n - 1))) % n] : dead;
+      live[worst] = walkFrom(start, dead, spread(live));
+      state.step++;
+      yield;
+    }
+
+    state.points.push(...live);
+    state.live = [];
+  }
+
+  const sortedPoints = () => [...state.points, ...state.live].sort(compareKeys);
+
+  // Likelihood bounds of the region with posterior importance >= importanceFraction of its peak.
+  const batchBounds = () => {
+    const sorted = sortedPoints();
+    const { logZ, logWeights } = nestedEvidence(sorted);
+    state.logZ = logZ;
+    let peak = Number.NEGATIVE_INFINITY;
+    for (const lw of logWeights) if (lw > peak) peak = lw;
+    const cut = peak + Math.log(importanceFraction);
+    let lo = -1;
+    let hi = -1;
+    logWeights.forEach((lw, i) => {
+      if (lw >= cut) {
+        if (lo < 0) lo = i;
+        hi = i;
+      }
+    });
+    if (lo < 0) return null;
+    return { lower: lo > 0 ? sorted[lo - 1] : PRIOR_KEY, upper: sorted[hi] };
+  };
+
+  function* run() {
+    yield* runThread(nLive, PRIOR_KEY, null);
+    for (let b = 0; b < nBatches && !state.truncated; b++) {
+      const bounds = batchBounds();
+      if (!bounds) break;
+      state.batch = b + 1;
+      yield* runThread(batchLive, bounds.lower, bounds.upper);
+    }
+    state.logZ = nestedEvidence(sortedPoints()).logZ;
+    state.finished = true;
+  }
+
+  const iterator = run();
+  const isDone = () => state.finished;
+
+  // Rough total: baseline iterations left to reach dlogz, plus the batches.
+  const reportProgress = () => {
+    if (!onProgress) return;
+    const baselineLeft =
+      state.batch === 0 && Number.isFinite(state.remaining)
+        ? Math.ceil(nLive * Math.max(0, Math.log(Math.expm1(state.remaining) / Math.expm1(dlogz))))
+        : 0;
+    const batchesLeft = nBatches - state.batch + (state.batch > 0 ? 0.5 : 0);
+    const perBatch = batchLive * Math.max(1, state.points.length / nLive);
+    onProgress({
+      phase: "nested",
+      step: state.step,
+      totalSteps: Math.min(maxIterations, state.step + baselineLeft + Math.ceil(batchesLeft * perBatch)),
+      acceptanceRate: state.accepted / Math.max(1, state.proposed),
+      nested: {
+        logZ: state.logZ,
+        remaining: state.batch === 0 ? state.remaining : null,
+        batch: state.batch,
+        nBatches,
+        nPoints: state.points.length,
+        calls: state.calls,
+      },
+    });
+  };
+
+  const advance = (count = Infinity) => {
+    for (let n = 0; n < count && !isDone(); n++) {
+      iterator.next();
+      if (state.step % progressEvery === 0 || isDone()) reportProgress();
+    }
+    return isDone();
+  };
+
+  // The ln Z error simulations use their own generator, so that SNAPSHOT and
+  // CANCEL (which call result()) leave the sampler's sequence untouched.
+  const result = () =>
+    nestedResult(
+      sortedPoints(),
+      {
+        parameters: model.parameters,
+        components: model.components,
+        acceptanceRate: state.accepted / Math.max(1, state.proposed),
+        nWalkers: nLive,
+        nSteps: state.step,
+        complete: isDone() && !state.truncated,
+        seed: seed ?? null,
+        stream,
+        nested: { nLive, batchLive, nBatches, dlogz, walks, calls: state.calls, truncated: state.truncated },
+        emulator: emulatorSummary(emulator),
+      },
+      seed !== null && seed !== undefined ? createRng(seed, stream + EVIDENCE_STREAM_OFFSET) : Math.random,
+      nSimulations
+    );
+
+  return { model, state, advance, result, isDone };
+}
+
+/* Merge nested runs on the same model: the union of their points is a
+ * nested run with more live points, re-weighted from the recorded births.
+ */
+export function mergeNestedResults(results) {
+  if (results.length === 1) return results[0];
+  const points = results.flatMap(resultPoints).sort(compareKeys);
+  const first = results[0];
+  const rng = first.seed !== null ? createRng(first.seed, results.length) : Math.random;
+  const calls = results.reduce((s, r) => s + r.nested.calls, 0);
+
+  return {
+    ...nestedResult(
+      points,
+      {
+        parameters: first.parameters,
+        components: first.components,
+        acceptanceRate: results.reduce((s, r) => s + r.acceptanceRate * r.nested.calls, 0) / Math.max(1, calls),
+        nWalkers: results.reduce((s, r) => s + r.nWalkers, 0),
+        nSteps: Math.max(...results.map((r) => r.nSteps)),
+        complete: results.every((r) => r.complete),
+        seed: first.seed,
+        stream: first.stream,
+        nested: {
+          ...first.nested,
+          calls,
+          truncated: results.some((r) => r.nested.truncated),
+        },
+        emulator: first.emulator,
+      },
+      rng
+    ),
+    ensembles: results.map((r) => ({
+      stream: r.stream,
+      nWalkers: r.nWalkers,
+      nSteps: r.nSteps,
+      acceptanceRate: r.acceptanceRate,
+      evidence: r.evidence,
+    })),
+  };
+}
@@ -2,89 +2,169 @@
  * Cosmology cache + SGWB spectrum evaluator with adaptive Simpson integration.
  */
 
+import { emissionCoefficients } from "./emission.js";
+import { prepareLoopDensity } from "./loops.js";
+
 export const CONSTANTS = Object.freeze({
   // SI units unless noted
-  H0: 2.184e-18, // Hubble constant in Hz (approx 67.4 km/s/Mpc)
   G_N: 6.674e-11,
   c: 2.998e8,
+  Mpc: 3.0857e22, // m
+});
+
+// Planck-like flat LCDM; H0 in km/s/Mpc. w0/wa follow the CPL convention.
+export const DEFAULT_COSMOLOGY = Object.freeze({
+  H0: 67.4,
   Omega_m: 0.315,
-  Omega_Lambda: 0.685,
+  Omega_r: 9.1e-5, // photons + massless neutrinos
+  Omega_Lambda: 0.68491,
+  w0: -1,
+  wa: 0,
 });
 
-let cosmologyCache = null;
-let cosmologyKey = null;
+const COSMOLOGY_CACHE_SIZE = 8;
+const cosmologyCaches = new Map();
+
+export function resolveCosmology(cosmology = {}) {
+  const c = { ...DEFAULT_COSMOLOGY, ...cosmology };
+  for (const k of Object.keys(DEFAULT_COSMOLOGY)) {
+    if (!Number.isFinite(c[k])) throw new Error(`Invalid cosmology parameter ${k}: ${c[k]}`);
+  }
+  if (!(c.H0 > 0)) throw new Error("Cosmology H0 must be positive");
+  return {
+    ...c,
+    Omega_k: 1 - c.Omega_m - c.Omega_r - c.Omega_Lambda,
+    H0_Hz: (c.H0 * 1e3) / CONSTANTS.Mpc,
+  };
+}
+
+function cosmologyKey(c, zMax, nz) {
+  return [c.H0, c.Omega_m, c.Omega_r, c.Omega_Lambda, c.w0, c.wa, zMax, nz].join(":");
+}
+
+function hubbleRate(z, c) {
+  const zp1 = 1 + z;
+  // CPL dark energy: rho_DE ~ a^{-3(1+w0+wa)} exp(-3 wa (1-a))
+  const de =
+    c.w0 === -1 && c.wa === 0
+      ? 1
+      : Math.pow(zp1, 3 * (1 + c.w0 + c.wa)) * Math.exp((-3 * c.wa * z) / zp1);
+  const E2 =
+    c.Omega_r * Math.pow(zp1, 4) +
+    c.Omega_m * Math.pow(zp1, 3) +
+    c.Omega_k * zp1 * zp1 +
+    c.Omega_Lambda * de;
+  return c.H0_Hz * Math.sqrt(E2);
+}
 
-export function buildCosmologyCache(zMax = 10, nz = 600) {
-  const key = `${zMax}:${nz}`;
-  if (cosmologyCache && cosmologyKey === key) return cosmologyCache;
+// Closed-form t(a) for radiation + matter; exact to <1e-12 once dark energy is negligible.
+function radiationMatterAge(a, c) {
+  const { H0_Hz: H0, Omega_m: Om, Omega_r: Or } = c;
+  if (!(Or > 0)) return (2 / 3) * Math.pow(a, 1.5) / (H0 * Math.sqrt(Om));
+  const y = (Om * a) / Or;
+  // (y - 2) sqrt(1 + y) + 2 cancels catastrophically deep in the radiation era
+  const g = y < 1e-4
+    ? 0.75 * y * y * (1 - y / 3 + (3 * y * y) / 16)
+    : (y - 2) * Math.sqrt(1 + y) + 2;
+  return ((2 * Math.pow(Or, 1.5)) / (3 * H0 * Om * Om)) * g;
+}
+
+/* The grid is uniform in x = ln(1+z) so that it can reach deep into the
+ * radiation era (zMax ~ 1e16) with a few thousand nodes and O(1) lookups.
+ * t(z) = \int_z^\infty dz' / ((1+z') H(z')) = \int_x^\infty dx' / H(x'),
+ * integrated downward from the closed-form radiation+matter age at zMax.
+ * Caches are keyed on every cosmological parameter plus the grid, and a few
+ * are kept alive so that sensitivity scans do not rebuild on every call.
+ */
+export function buildCosmologyCache(zMax = 1e16, nz = 1600, cosmology = DEFAULT_COSMOLOGY) {
+  const c = resolveCosmology(cosmology);
+  const key = cosmologyKey(c, zMax, nz);
+  const hit = cosmologyCaches.get(key);
+  if (hit) return hit;
 
+  const xMax = Math.log1p(zMax);
+  const dx = xMax / (nz - 1);
+
+  const xArr = new Float64Array(nz);
   const zArr = new Float64Array(nz);
   const tArr = new Float64Array(nz);
+  const lnTArr = new Float64Array(nz);
   const dtdzArr = new Float64Array(nz);
   const HArr = new Float64Array(nz);
 
   for (let i = 0; i < nz; i++) {
-    const z = (zMax * i) / (nz - 1);
-    const a = 1 / (1 + z);
-
-    const Ez = Math.sqrt(
-      CONSTANTS.Omega_m * Math.pow(1 + z, 3) + CONSTANTS.Omega_Lambda
-    );
-    const Hz = CONSTANTS.H0 * Ez;
-
-    // Speed-focused approximation:
-// For publication-grade cosmology replace with the proper integral definition for t(z).
-    const t = (2 / 3) / CONSTANTS.H0 * Math.pow(a, 1.5);
-
-    // magnitude of dt/dz (positive)
-    const dtdz = 1 / (Hz * (1 + z));
+    const x = i * dx;
+    const z = Math.expm1(x);
+    const Hz = hubbleRate(z, c);
+    if (!(Hz > 0)) throw new Error(`Cosmology has H(z) <= 0 at z=${z.toPrecision(3)}`);
 
+    xArr[i] = x;
     zArr[i] = z;
-    tArr[i] = t;
-    dtdzArr[i] = dtdz;
     HArr[i] = Hz;
+    // magnitude of dt/dz (positive)
+    dtdzArr[i] = 1 / (Hz * (1 + z));
   }
 
-  cosmologyCache = { zMax, nz, z: zArr, t: tArr, dtdz: dtdzArr, H: HArr };
-  cosmologyKey = key;
-  return cosmologyCache;
-}
+  tArr[nz - 1] = radiationMatterAge(Math.exp(-xMax), c);
+  for (let i = nz - 2; i >= 0; i--) {
+    // Simpson on [x_i, x_{i+1}] of dx / H
+    const Hm = hubbleRate(Math.expm1(xArr[i] + 0.5 * dx), c);
+    tArr[i] = tArr[i + 1] + (dx / 6) * (1 / HArr[i] + 4 / Hm + 1 / HArr[i + 1]);
+  }
+  for (let i = 0; i < nz; i++) lnTArr[i] = Math.log(tArr[i]);
+
+  const cache = {
+    key,
+    cosmology: c,
+    zMax,
+    nz,
+    dx,
+    x: xArr,
+    z: zArr,
+    t: tArr,
+    lnT: lnTArr,
+    dtdz: dtdzArr,
+    H: HArr,
+    t0: tArr[0],
+    zEq: c.Omega_r > 0 ? c.Omega_m / c.Omega_r - 1 : Infinity,
+  };
 
-function interpolate(x, xArr, yArr) {
-  const n = xArr.length;
-  if (x <= xArr[0]) return yArr[0];
-  if (x >= xArr[n - 1]) return yArr[n - 1];
-
-  let lo = 0;
-  let hi = n - 1;
-  while (hi - lo > 1) {
-    const mid = (lo + hi) >> 1;
-    if (xArr[mid] <= x) lo = mid;
-    else hi = mid;
+  if (cosmologyCaches.size >= COSMOLOGY_CACHE_SIZE) {
+    cosmologyCaches.delete(cosmologyCaches.keys().next().value);
   }
+  cosmologyCaches.set(key, cache);
+  return cache;
+}
 
-  const t = (x - xArr[lo]) / (xArr[hi] - xArr[lo]);
-  return yArr[lo] * (1 - t) + yArr[hi] * t;
+// Linear interpolation on the uniform x = ln(1+z) grid of a cosmology cache.
+export function interpolateCache(cache, x, yArr) {
+  const u = x / cache.dx;
+  if (!(u > 0)) return yArr[0];
+  const n = yArr.length;
+  if (u >= n - 1) return yArr[n - 1];
+  const i = Math.floor(u);
+  const w = u - i;
+  return yArr[i] * (1 - w) + yArr[i + 1] * w;
 }
 
-function harmonicCoeffs(Nk) {
-  const Gamma = 50.0;
-  const coeffs = new Float64Array(Nk);
-  for (let k = 0; k < Nk; k++) {
-    coeffs[k] = Gamma / Math.pow(k + 1, 4 / 3);
-  }
-  return coeffs;
+export function cosmicTime(z, cache = buildCosmologyCache()) {
+  return Math.exp(interpolateCache(cache, Math.log1p(z), cache.lnT));
 }
 
 function simpson(a, b, fa, fb, fm) {
   return (b - a) * (fa + 4 * fm + fb) / 6;
 }
 
-function adaptiveSimpson(f, a, b, tol, maxDepth = 22) {
-  const fa = f(a);
-  const fb = f(b);
-  const m = 0.5 * (a + b);
-  const fm = f(m);
+function adaptiveSimpson(
+  f,
+  a,
+  b,
+  tol,
+  maxDepth = 22,
+  fa = f(a),
+  fb = f(b),
+  fm = f(0.5 * (a + b))
+) {
   const I1 = simpson(a, b, fa, fb, fm);
 
   function rec(a0, b0, fa0, fb0, fm0, I0, tol0, depth) {
@@ -114,55 +194,86 @@ function adaptiveSimpson(f, a, b, tol, maxDepth = 22) {
   return rec(a, b, fa, fb, fm, I1, tol, maxDepth);
 }
 
+/* Composite adaptive Simpson: a coarse pass over nSeg panels fixes the scale
+ * of the integral, then each panel is refined to adaptiveTol relative to it.
+ * The loop-size cutoffs make the integrand sharply peaked in ln(1+z), which a
+ * single absolute-tolerance pass over the whole range can step over.
+ */
+function integrateRelative(f, a, b, relTol, nSeg = 48, maxDepth = 16) {
+  const h = (b - a) / nSeg;
+  const fx = new Float64Array(2 * nSeg + 1);
+  for (let i = 0; i <= 2 * nSeg; i++) fx[i] = f(a + 0.5 * i * h);
+
+  let coarse = 0;
+  for (let s = 0; s < nSeg; s++) {
+    coarse += simpson(0, h, fx[2 * s], fx[2 * s + 2], fx[2 * s + 1]);
+  }
+  if (!(Math.abs(coarse) > 0)) return 0;
+
+  const tol = (relTol * Math.abs(coarse)) / nSeg;
+  let total = 0;
+  for (let s = 0; s < nSeg; s++) {
+    const a0 = a + s * h;
+    total += adaptiveSimpson(f, a0, a0 + h, tol, maxDepth, fx[2 * s], fx[2 * s + 2], fx[2 * s + 1]);
+  }
+  return total;
+}
+
+/* Omega_GW(f) = (16 pi / 3) (Gmu / H0)^2 / f * sum_k k P_k
+ *               * \int dx e^{-5x} n(l_k, t(x)) / H(x),   l_k = 2k / (f (1+z)),
+ * with x = ln(1+z), c = 1 and times in seconds. n(l, t) comes from the
+ * selected loop model in loops.js and P_k (summing to Gamma) from the
+ * selected emission spectrum in emission.js.
+ */
 export function calculateOmegaGW(f, Gmu, P, options = {}) {
   const {
     Nk = 50,
     alpha = 0.1,
-    beta = 1.0,
-    zMax = 10,
-    nz = 600,
+    Gamma = 50,
+    loopModel = "bos",
+    emission = "cusp",
+    zMax = 1e16,
+    nz = 1600,
     adaptiveTol = 1e-4,
+    cosmology = DEFAULT_COSMOLOGY,
+    ...modelOptions
   } = options;
 
   if (!(f > 0) || !(Gmu > 0) || !(P > 0)) return 0;
 
-  const cache = buildCosmologyCache(zMax, nz);
-
-  // stylized VOS-inspired effective coefficient
-  const Ceff = 0.1 * Math.pow(P, -0.6);
+  const cache = buildCosmologyCache(zMax, nz, cosmology);
+  const H0 = cache.cosmology.H0_Hz;
 
-  // critical density
-  const rho_c = (3 * Math.pow(CONSTANTS.H0, 2)) / (8 * Math.PI * CONSTANTS.G_N);
+  const density = prepareLoopDensity(loopModel, { ...modelOptions, Gmu, P, Gamma, alpha, cache });
+  const hCoeffs = emissionCoefficients(emission, Nk, Gamma, modelOptions);
+  const prefactor = ((16 * Math.PI) / 3) * Math.pow(Gmu / H0, 2) / f;
 
-  const hCoeffs = harmonicCoeffs(Nk);
-
-  const integrand = (z) => {
-    const t = interpolate(z, cache.z, cache.t);
-    const dtdz = interpolate(z, cache.z, cache.dtdz);
+  // integrate in x = ln(1+z): dz = (1+z) dx, so dt/dz dz = dx / H
+  const integrand = (x) => {
+    const t = Math.exp(interpolateCache(cache, x, cache.lnT));
+    const Hz = interpolateCache(cache, x, cache.H);
     if (!(t > 0)) return 0;
 
-    // loop formation rate (parametric scaling)
-    const dRhodt = (Ceff / (alpha * Math.pow(t, 4))) * Math.pow(Gmu, -beta);
-
-    const fObs = f * (1 + z);
+    const l1 = 2 * Math.exp(-x) / f;
 
     let harmonicSum = 0;
     for (let k = 0; k < Nk; k++) {
       const kVal = k + 1;
-      const Pk = hCoeffs[k] * Math.pow(Gmu, 2);
-      harmonicSum += (2 * kVal / fObs) * Pk * dRhodt / rho_c;
+      const n = density(kVal * l1, t, x);
+      if (n > 0) harmonicSum += kVal * hCoeffs[k] * n;
     }
 
-    return harmonicSum * dtdz;
+    return harmonicSum * Math.exp(-5 * x) / Hz;
   };
 
-  return adaptiveSimpson(integrand, 0, zMax, adaptiveTol, 22);
+  return prefactor * integrateRelative(integrand, 0, Math.log1p(zMax), adaptiveTol);
 }
 
-export function Sh_to_OmegaGW(f, Sh) {
+export function Sh_to_OmegaGW(f, Sh, cosmology = DEFAULT_COSMOLOGY) {
   if (!(f > 0) || !(Sh > 0)) return 0;
+  const { H0_Hz: H0 } = resolveCosmology(cosmology);
   return (
-    (2 * Math.pow(Math.PI, 2)) / (3 * Math.pow(CONSTANTS.H0, 2)) *
+    (2 * Math.pow(Math.PI, 2)) / (3 * H0 * H0) *
     Math.pow(f, 3) *
     Sh
   );
@@ -0,0 +1,251 @@
+/* src/lib/priors.js
+ * Prior densities on a sampled coordinate (e.g. on log10 Gmu, not on Gmu).
+ * Spec types:
+ *  - uniform:     { min, max }
+ *  - loguniform:  { min, max }, density ~ 1/x on 0 < min < x < max
+ *  - gaussian:    { mean, sigma }
+ *  - truncnormal: { mean, sigma, min, max }
+ *  - tabulated:   { x: number[], pdf: number[] }, piecewise linear, renormalized
+ * Everything is plain data so specs travel through postMessage and into the
+ * exported results unchanged. Every type also has a ppf (inverse CDF) mapping
+ * u in [0, 1] onto the prior, used by the nested sampler's unit cube.
+ */
+
+// Abramowitz & Stegun 7.1.26 (|error| < 1.5e-7), enough for normalizations.
+function erf(x) {
+  const s = x < 0 ? -1 : 1;
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const y =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+      t *
+      Math.exp(-ax * ax);
+  return s * y;
+}
+
+function normalCdf(z) {
+  return 0.5 * (1 + erf(z / Math.SQRT2));
+}
+
+// Acklam's rational approximation to the standard normal quantile (rel. error < 1.2e-9).
+export function normalQuantile(p) {
+  const a = [
+    -39.69683028665376, 220.9460984245205, -275.928510446969, 138.357751867269, -30.66479806614716,
+    2.506628277459239,
+  ];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [
+    -0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968,
+    2.938163982698783,
+  ];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  if (p <= 0) return Number.NEGATIVE_INFINITY;
+  if (p >= 1) return Number.POSITIVE_INFINITY;
+  const pLow = 0.02425;
+  if (p < pLow || p > 1 - pLow) {
+    const q = Math.sqrt(-2 * Math.log(p < pLow ? p : 1 - p));
+    const x =
+      (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    return p < pLow ? x : -x;
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (
+    ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+  );
+}
+
+const LOG_SQRT_2PI = 0.5 * Math.log(2 * Math.PI);
+
+function requireFinite(spec, keys) {
+  for (const k of keys) {
+    if (!Number.isFinite(spec[k])) throw new Error(`Prior "${spec.type}" needs a finite ${k}`);
+  }
+}
+
+function tabulatedNorm(spec) {
+  let area = 0;
+  for (let i = 1; i < spec.x.length; i++) {
+    area += 0.5 * (spec.pdf[i] + spec.pdf[i - 1]) * (spec.x[i] - spec.x[i - 1]);
+  }
+  return area;
+}
+
+export const PRIOR_TYPES = Object.freeze({
+  uniform: {
+    label: "Uniform",
+    fields: ["min", "max"],
+    validate(spec) {
+      requireFinite(spec, ["min", "max"]);
+      if (!(spec.min < spec.max)) throw new Error("Uniform prior needs min < max");
+    },
+    support: (spec) => [spec.min, spec.max],
+    logpdf: (spec, x) =>
+      x >= spec.min && x <= spec.max ? -Math.log(spec.max - spec.min) : Number.NEGATIVE_INFINITY,
+    ppf: (spec, u) => spec.min + u * (spec.max - spec.min),
+  },
+  loguniform: {
+    label: "Log-uniform",
+    fields: ["min", "max"],
+    validate(spec) {
+      requireFinite(spec, ["min", "max"]);
+      if (!(spec.min > 0 && spec.min < spec.max)) throw new Error("Log-uniform prior needs 0 < min < max");
+    },
+    support: (spec) => [spec.min, spec.max],
+    logpdf: (spec, x) =>
+      x >= spec.min && x <= spec.max
+        ? -Math.log(x) - Math.log(Math.log(spec.max / spec.min))
+        : Number.NEGATIVE_INFINITY,
+    ppf: (spec, u) => spec.min * Math.pow(spec.max / spec.min, u),
+  },
+  gaussian: {
+    label: "Gaussian",
+    fields: ["mean", "sigma"],
+    validate(spec) {
+      requireFinite(spec, ["mean", "sigma"]);
+      if (!(spec.sigma > 0)) throw new Error("Gaussian prior needs sigma > 0");
+    },
+    support: () => [Number.NEGATIVE_INFINITY, Number.POSITIVE_INFINITY],
+    displayRange: (spec) => [spec.mean - 4 * spec.sigma, spec.mean + 4 * spec.sigma],
+    logpdf: (spec, x) => {
+      const r = (x - spec.mean) / spec.sigma;
+      return -0.5 * r * r - Math.log(spec.sigma) - LOG_SQRT_2PI;
+    },
+    ppf: (spec, u) => spec.mean + spec.sigma * normalQuantile(u),
+  },
+  truncnormal: {
+    label: "Truncated Gaussian",
+    fields: ["mean", "sigma", "min", "max"],
+    validate(spec) {
+      requireFinite(spec, ["mean", "sigma", "min", "max"]);
+      if (!(spec.sigma > 0)) throw new Error("Truncated Gaussian prior needs sigma > 0");
+      if (!(spec.min < spec.max)) throw new Error("Truncated Gaussian prior needs min < max");
+    },
+    support: (spec) => [spec.min, spec.max],
+    logpdf: (spec, x) => {
+      if (!(x >= spec.min && x <= spec.max)) return Number.NEGATIVE_INFINITY;
+      const r = (x - spec.mean) / spec.sigma;
+      const mass =
+        normalCdf((spec.max - spec.mean) / spec.sigma) - normalCdf((spec.min - spec.mean) / spec.sigma);
+      return -0.5 * r * r - Math.log(spec.sigma) - LOG_SQRT_2PI - Math.log(mass);
+    },
+    ppf: (spec, u) => {
+      const lo = normalCdf((spec.min - spec.mean) / spec.sigma);
+      const hi = normalCdf((spec.max - spec.mean) / spec.sigma);
+      const x = spec.mean + spec.sigma * normalQuantile(lo + u * (hi - lo));
+      return Math.min(Math.max(x, spec.min), spec.max);
+    },
+  },
+  tabulated: {
+    label: "Tabulated",
+    fields: ["x", "pdf"],
+    validate(spec) {
+      const { x, pdf } = spec;
+      if (!Array.isArray(x) || !Array.isArray(pdf) || x.length < 2 || x.length !== pdf.length) {
+        throw new Error("Tabulated prior needs x and pdf arrays of equal length >= 2");
+      }
+      for (let i = 0; i < x.length; i++) {
+        if (!Number.isFinite(x[i]) || !(pdf[i] >= 0)) throw new Error(`Tabulated prior: bad node ${i}`);
+        if (i > 0 && !(x[i] > x[i - 1])) throw new Error("Tabulated prior x must be strictly increasing");
+      }
+      if (!(tabulatedNorm(spec) > 0)) throw new Error("Tabulated prior pdf integrates to zero");
+    },
+    support: (spec) => [spec.x[0], spec.x[spec.x.length - 1]],
+    logpdf: (spec, v) => {
+      const { x, pdf } = spec;
+      const n = x.length;
+      if (!(v >= x[0] && v <= x[n - 1])) return Number.NEGATIVE_INFINITY;
+      let i = 1;
+      while (i < n - 1 && x[i] < v) i++;
+      const w = (v - x[i - 1]) / (x[i] - x[i - 1]);
+      const p = pdf[i - 1] * (1 - w) + pdf[i] * w;
+      return p > 0 ? Math.log(p / tabulatedNorm(spec)) : Number.NEGATIVE_INFINITY;
+    },
+    // The CDF is quadratic on each segment; solve for the crossing.
+    ppf: (spec, u) => {
+      const { x, pdf } = spec;
+      let target = u * tabulatedNorm(spec);
+      for (let i = 1; i < x.length; i++) {
+        const h = x[i] - x[i - 1];
+        const area = 0.5 * (pdf[i] + pdf[i - 1]) * h;
+        if (target > area && i < x.length - 1) {
+          target -= area;
+          continue;
+        }
+        const p0 = pdf[i - 1];
+        const slope = (pdf[i] - p0) / h;
+        const t =
+          Math.abs(slope) < 1e-12 * Math.max(p0, 1e-300)
+            ? target / p0
+            : (-p0 + Math.sqrt(Math.max(p0 * p0 + 2 * slope * target, 0))) / slope;
+        return Math.min(Math.max(x[i - 1] + t, x[i - 1]), x[i]);
+      }
+      return x[x.length - 1];
+    },
+  },
+});
+
+function priorType(spec) {
+  const type = PRIOR_TYPES[spec?.type];
+  if (!type) throw new Error(`Unknown prior type: ${spec?.type}`);
+  return type;
+}
+
+export function validatePrior(spec) {
+  priorType(spec).validate(spec);
+  return spec;
+}
+
+export function logPriorDensity(spec, x) {
+  return priorType(spec).logpdf(spec, x);
+}
+
+// Inverse CDF: u in [0, 1] -> value on the sampled coordinate.
+export function priorPpf(spec, u) {
+  return priorType(spec).ppf(spec, u);
+}
+
+// Hard support [lo, hi]; may be infinite.
+export function priorSupport(spec) {
+  return priorType(spec).support(spec);
+}
+
+// Finite range for sliders, chart domains and emulator grids.
+export function priorDisplayRange(spec) {
+  const type = priorType(spec);
+  return type.displayRange ? type.displayRange(spec) : type.support(spec);
+}
+
+/* Priors act on the sampled coordinate, so on a log10 parameter "uniform"
+ * is already log-uniform in the physical value; a log-uniform spec there
+ * would be log-uniform in log10 x (and needs min > 0), so it is refused.
+ */
+export function priorAllowed(type, transform = "identity") {
+  return !(type === "loguniform" && transform === "log10");
+}
+
+// Sensible starting spec of the given type, spanning an existing range.
+export function defaultPriorOfType(type, [lo, hi], transform = "identity") {
+  if (!priorAllowed(type, transform)) {
+    throw new Error("Log-uniform prior on a log10 parameter: use Uniform, which is log-uniform in the physical value");
+  }
+  const mid = 0.5 * (lo + hi);
+  const half = 0.5 * (hi - lo);
+  switch (type) {
+    case "uniform":
+      return { type, min: lo, max: hi };
+    case "loguniform":
+      return { type, min: lo > 0 ? lo : 1e-3, max: hi > 0 ? hi : 1 };
+    case "gaussian":
+      return { type, mean: mid, sigma: half / 2 };
+    case "truncnormal":
+      return { type, mean: mid, sigma: half / 2, min: lo, max: hi };
+    case "tabulated":
+      return { type, x: [lo, mid, hi], pdf: [1, 1, 1] };
+    default:
+      throw new Error(`Unknown prior type: ${type}`);
+  }
+}
@@ -4,21 +4,39 @@
  *  - OmegaGW: upper_limits are Omega_GW(f)
  *  - Sh:      upper_limits are strain PSD S_h(f) [1/Hz]
  *  - hc:      upper_limits are characteristic strain h_c(f)
+ *  - free_spectrum: per-bin posterior densities instead of limits; parsed by
+ *                   freeSpectrum.js into a factorized likelihood
+ *  - pulsars:       mock pulsar array for the Hellings–Downs likelihood
+ *                   (pulsarArray.js); options.correlations picks "hd" / "curn"
+ * Sh/hc conversions depend on H0, so loaders take the analysis cosmology.
  */
 
+import { parseFreeSpectrum } from "./freeSpectrum.js";
+import { parsePulsarArray } from "./pulsarArray.js";
 import { Sh_to_OmegaGW } from "./physics.js";
 
 function toFloat64(arr) {
   return arr instanceof Float64Array ? arr : new Float64Array(arr);
 }
 
-export async function loadPTALimitsJSON(url) {
+/* An error on a limit given in the data's own units, as an error on Omega_GW
+ * (the likelihood compares in Omega): linear in S_h, Omega ~ h_c^2 for h_c.
+ */
+function errorToOmega(fmt, f, upper, upperOmega, error, cosmology) {
+  if (fmt === "sh") return Sh_to_OmegaGW(f, error, cosmology);
+  if (fmt === "hc") return (2 * upperOmega * error) / upper;
+  return error;
+}
+
+export async function loadPTALimitsJSON(url, { cosmology, correlations } = {}) {
   const res = await fetch(url);
   if (!res.ok) throw new Error(`Failed to load PTA JSON: ${res.status}`);
   const j = await res.json();
 
   const name = j.name ?? "PTA dataset";
   const format = (j.format ?? "OmegaGW").toLowerCase();
+  if (format === "free_spectrum") return parseFreeSpectrum(j, { cosmology });
+  if (format === "pulsars") return parsePulsarArray(j, { cosmology, correlations });
 
   const freqUnit = (j.frequency_unit ?? "Hz").toLowerCase();
   const freqScale = freqUnit === "nhz" ? 1e-9 : 1.0;
@@ -30,12 +48,12 @@ export async function loadPTALimitsJSON(url) {
   if (format === "omegagw") {
     upperOmega = j.upper_limits.slice();
   } else if (format === "sh") {
-    upperOmega = frequenciesHz.map((f, i) => Sh_to_OmegaGW(f, j.upper_limits[i]));
+    upperOmega = frequenciesHz.map((f, i) => Sh_to_OmegaGW(f, j.upper_limits[i], cosmology));
   } else if (format === "hc") {
     upperOmega = frequenciesHz.map((f, i) => {
       const hc = j.upper_limits[i];
       const Sh = Math.pow(hc / f, 2);
-      return Sh_to_OmegaGW(f, Sh);
+      return Sh_to_OmegaGW(f, Sh, cosmology);
     });
   } else {
     throw new Error(`Unknown PTA format: ${j.format}`);
@@ -43,7 +61,7 @@ export async function loadPTALimitsJSON(url) {
 
   const errs =
     j.errors && j.errors.length === upperOmega.length
-      ? j.errors.slice()
+      ? j.errors.map((e, i) => errorToOmega(format, frequenciesHz[i], j.upper_limits[i], upperOmega[i], e, cosmology))
       : upperOmega.map((x) => 0.2 * x);
 
   return {
@@ -56,7 +74,7 @@ export async function loadPTALimitsJSON(url) {
 
 export async function loadPTALimitsCSV(
   url,
-  { frequencyUnit = "Hz", format = "OmegaGW" } = {}
+  { frequencyUnit = "Hz", format = "OmegaGW", cosmology } = {}
 ) {
   const res = await fetch(url);
   if (!res.ok) throw new Error(`Failed to load PTA CSV: ${res.status}`);
@@ -85,15 +103,16 @@ export async function loadPTALimitsCSV(
     if (fmt === "omegagw") {
       upper.push(u);
     } else if (fmt === "sh") {
-      upper.push(Sh_to_OmegaGW(f, u));
+      upper.push(Sh_to_OmegaGW(f, u, cosmology));
     } else if (fmt === "hc") {
       const Sh = Math.pow(u / f, 2);
-      upper.push(Sh_to_OmegaGW(f, Sh));
+      upper.push(Sh_to_OmegaGW(f, Sh, cosmology));
     } else {
       throw new Error(`Unknown format: ${format}`);
     }
 
-    errs.push(isFinite(e) ? e : 0.2 * upper[upper.length - 1]);
+    const uOmega = upper[upper.length - 1];
+    errs.push(isFinite(e) ? errorToOmega(fmt, f, u, uOmega, e, cosmology) : 0.2 * uOmega);
   }
 
   return {
@@ -105,7 +124,7 @@ export async function loadPTALimitsCSV(
 }
 
 // Keep a mock generator for offline/demo use
-export function generateMockPTALimits() {
+export function generateMockPTALimits({ cosmology } = {}) {
   const frequencies = [];
   const upperLimits = [];
   const errors = [];
@@ -117,7 +136,7 @@ export function generateMockPTALimits() {
     // Mock scaling ~ f^(-2/3) for characteristic strain, then convert
     const hc = 1e-15 * Math.pow(f / 1e-8, -2 / 3);
     const Sh = Math.pow(hc / f, 2);
-    const omega = Sh_to_OmegaGW(f, Sh);
+    const omega = Sh_to_OmegaGW(f, Sh, cosmology);
 
     upperLimits.push(omega);
     errors.push(0.2 * omega);
@@ -0,0 +1,72 @@
+/* src/lib/rng.js
+ * Seeded PRNG for reproducible runs: xoshiro128** seeded through splitmix32.
+ * A seed is a uint32 (strings are hashed with FNV-1a), and stream selects an
+ * independent sequence for the same seed (one per worker in a pool).
+ * The generator is a () => [0, 1) function like Math.random; its state is a
+ * plain array of four uint32 from rng.getState(), and rngFromState() picks
+ * the sequence up exactly where it left off.
+ */
+
+function rotl(x, k) {
+  return (x << k) | (x >>> (32 - k));
+}
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function normalizeSeed(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) return Math.trunc(seed) >>> 0;
+  const str = String(seed).trim();
+  return /^\d+$/.test(str) ? Number(str) >>> 0 : fnv1a(str);
+}
+
+export function randomSeed() {
+  if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+export function rngFromState(state) {
+  const s = Uint32Array.from(state);
+  const next = () => {
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+    return result / 0x100000000;
+  };
+  next.getState = () => Array.from(s);
+  return next;
+}
+
+export function createRng(seed, stream = 0) {
+  let sm = (normalizeSeed(seed) ^ Math.imul(stream + 1, 0x9e3779b1)) >>> 0;
+  const splitmix32 = () => {
+    sm = (sm + 0x9e3779b9) >>> 0;
+    let z = sm;
+    z = Math.imul(z ^ (z >>> 16), 0x21f0aaad);
+    z = Math.imul(z ^ (z >>> 15), 0x735a2d97);
+    return (z ^ (z >>> 15)) >>> 0;
+  };
+  const state = [splitmix32(), splitmix32(), splitmix32(), splitmix32()];
+  if (state.every((v) => v === 0)) state[0] = 1;
+  return rngFromState(state);
+}
+
+// Standard normal deviate from a uniform generator (Box–Muller, one branch).
+export function normal(rng) {
+  let u = 0;
+  while (u === 0) u = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
@@ -0,0 +1,50 @@
+/* src/lib/samplers.js
+ * Registry of samplers a run can use. Each entry creates a cooperative
+ * sampler ({ state, advance, result, isDone, checkpoint? }) and merges the
+ * results of independent runs (one per worker).
+ */
+
+import { createEnsembleSampler, mergeEnsembleResults } from "./mcmc.js";
+import { createNestedSampler, mergeNestedResults } from "./nested.js";
+
+export const SAMPLERS = Object.freeze({
+  ensemble: {
+    label: "Ensemble (stretch / DE / walk moves)",
+    create: createEnsembleSampler,
+    merge: mergeEnsembleResults,
+    checkpoints: true,
+  },
+  tempered: {
+    label: "Parallel-tempered ensemble",
+    create: createEnsembleSampler,
+    merge: mergeEnsembleResults,
+    checkpoints: true,
+  },
+  nested: {
+    label: "Dynamic nested sampling (evidence)",
+    create: createNestedSampler,
+    merge: mergeNestedResults,
+    checkpoints: false,
+  },
+});
+
+function samplerSpec(name = "ensemble") {
+  const spec = SAMPLERS[name];
+  if (!spec) throw new Error(`Unknown sampler: ${name}`);
+  return spec;
+}
+
+export function createSampler(ptaData, options = {}, onProgress = null, restore = null) {
+  return samplerSpec(options.sampler).create(ptaData, options, onProgress, restore);
+}
+
+export function mergeResults(results) {
+  return samplerSpec(results[0].sampler).merge(results);
+}
+
+// Blocking run to completion (main-thread fallback and scripts).
+export function runSampler(ptaData, options = {}, onProgress = null) {
+  const sampler = createSampler(ptaData, options, onProgress);
+  sampler.advance();
+  return sampler.result();
+}
@@ -0,0 +1,115 @@
+/* src/lib/sensitivity.js
+ * Power-law-integrated (PLI) sensitivity curves (Thrane & Romano 2013).
+ * Every dataset is reduced to independent bins with an effective noise
+ * level Omega_n,i such that SNR^2 = sum_i (Omega_GW(f_i) / Omega_n,i)^2:
+ *  - pulsarArray: Fisher information on the common power at Omega = 0,
+ *      F_k = sum_ab Gamma_ab^2 / (N_a N_b) over both coefficient vectors
+ *  - whittle (analytic LISA): nu_i sum_c (R_c S_gw / (N_c + foreground_c))^2
+ *  - toy LISA JSON: the Gaussian sigma of each point
+ *  - upper limits and free spectra: the 95% bound taken as 2 sigma
+ * For each tilt beta the amplitude reaching the SNR threshold is found;
+ * the PLI curve is the envelope of those power laws.
+ * Changing the observation time rescales Omega_n by sqrt(T_data / T), the
+ * stationary-noise scaling; PTA bins that a longer span would add below
+ * the lowest frequency are not modelled.
+ */
+
+const YEAR_S = 365.25 * 86400;
+
+// A 95% upper limit is read as this many sigma above zero.
+const LIMIT_SIGMAS = 2;
+
+export const DEFAULT_PLI_TILTS = Object.freeze(Array.from({ length: 65 }, (_, i) => -8 + i / 4));
+
+function pulsarArrayNoise(data) {
+  const { gamma, noise, omegaToPhi, nPulsars: n } = data;
+  return Float64Array.from(omegaToPhi, (w, k) => {
+    let fisher = 0;
+    for (let a = 0; a < n; a++) {
+      for (let b = 0; b < n; b++) fisher += (gamma[a * n + b] * gamma[a * n + b]) / (noise[k][a] * noise[k][b]);
+    }
+    return 1 / (w * Math.sqrt(fisher));
+  });
+}
+
+function whittleNoise(data) {
+  const { channels, counts, omegaToSh, noise, response, foreground } = data;
+  return Float64Array.from(counts, (nu, i) => {
+    let s = 0;
+    for (const c of channels) s += Math.pow((response[c][i] * omegaToSh[i]) / (noise[c][i] + foreground[c][i]), 2);
+    return 1 / Math.sqrt(nu * s);
+  });
+}
+
+// Span the dataset was taken over, in years (null when unknown).
+function dataYears(data) {
+  if (data.durationYears) return data.durationYears;
+  if (data.tspan) return data.tspan / YEAR_S;
+  if (data.upperLimits) return 1 / Math.min(...data.frequencies) / YEAR_S; // lowest PTA bin is 1 / T
+  return null;
+}
+
+/* { frequencies, omegaNoise, dataYears, observationYears } for a PTA or
+ * LISA dataset; observationYears defaults to the data span.
+ */
+export function noiseBins(data, { observationYears = null } = {}) {
+  let omegaNoise;
+  if (data.likelihood === "pulsarArray") omegaNoise = pulsarArrayNoise(data);
+  else if (data.likelihood === "whittle") omegaNoise = whittleNoise(data);
+  else if (data.sigma) omegaNoise = Float64Array.from(data.sigma);
+  else if (data.upperLimits) omegaNoise = Float64Array.from(data.upperLimits, (u) => u / LIMIT_SIGMAS);
+  else throw new Error("Dataset has no noise information for a sensitivity curve");
+
+  const years = dataYears(data);
+  if (observationYears && !(observationYears > 0)) throw new Error("Observation time must be positive");
+  if (observationYears && years) {
+    const scale = Math.sqrt(years / observationYears);
+    for (let i = 0; i < omegaNoise.length; i++) omegaNoise[i] *= scale;
+  }
+  return {
+    frequencies: Float64Array.from(data.frequencies),
+    omegaNoise,
+    dataYears: years,
+    observationYears: observationYears && years ? observationYears : years,
+  };
+}
+
+// Optimal SNR of a spectrum given as Omega_GW at each bin frequency.
+export function spectrumSNR(bins, omegas) {
+  let s = 0;
+  for (let i = 0; i < omegas.length; i++) s += Math.pow(omegas[i] / bins.omegaNoise[i], 2);
+  return Math.sqrt(s);
+}
+
+/* PLI curve at the given frequencies: max over tilts of the power law
+ * (f / fRef)^beta whose SNR equals the threshold.
+ */
+export function powerLawIntegratedCurve(bins, frequencies, { snr = 1, tilts = DEFAULT_PLI_TILTS } = {}) {
+  const { frequencies: fb, omegaNoise } = bins;
+  const fRef = Math.sqrt(Math.min(...fb) * Math.max(...fb));
+  const amplitudes = tilts.map((beta) => {
+    let s = 0;
+    for (let i = 0; i < fb.length; i++) s += Math.pow(Math.pow(fb[i] / fRef, beta) / omegaNoise[i], 2);
+    return snr / Math.sqrt(s);
+  });
+  return Float64Array.from(frequencies, (f) =>
+    tilts.reduce((m, beta, j) => Math.max(m, amplitudes[j] * Math.pow(f / fRef, beta)), 0)
+  );
+}
+
+/* PLI curve of a dataset on a log grid covering its band widened by
+ * `margin` decades on each side: { frequencies, omega, dataYears, observationYears }.
+ */
+export function sensitivityCurve(data, { snr = 1, observationYears = null, tilts, nPoints = 60, margin = 0.5 } = {}) {
+  if (!(snr > 0)) throw new Error("SNR threshold must be positive");
+  const bins = noiseBins(data, { observationYears });
+  const lo = Math.log10(Math.min(...bins.frequencies)) - margin;
+  const hi = Math.log10(Math.max(...bins.frequencies)) + margin;
+  const frequencies = Float64Array.from({ length: nPoints }, (_, i) => Math.pow(10, lo + ((hi - lo) * i) / (nPoints - 1)));
+  return {
+    frequencies,
+    omega: powerLawIntegratedCurve(bins, frequencies, { snr, tilts }),
+    dataYears: bins.dataYears,
+    observationYears: bins.observationYears,
+  };
+}
@@ -0,0 +1,95 @@
+/* src/lib/sgwbModels.js
+ * Registry of SGWB spectrum components. A model is any non-empty set of
+ * components; the likelihood compares the sum of their Omega_GW(f) with the
+ * data. omega(f, params, physicsOptions) takes physical values from
+ * toPhysical(); the sampled parameters of each component are the
+ * PARAMETER_LIBRARY entries tagged with its key (model.js).
+ *  - strings:          cosmic superstring network (calculateOmegaGW / emulator)
+ *  - smbhb:            SMBHB power law, h_c = A (f / 1 yr^-1)^((3 - gamma) / 2)
+ *  - brokenPowerLaw:   Omega_b 2 / ((f/f_b)^-n1 + (f/f_b)^-n2), n1 > n2
+ *  - phaseTransition:  first-order phase transition, sound-wave template of
+ *                      Caprini et al. (2016) for wall speed v_w
+ */
+
+import { evaluateOmegaGW } from "./emulator.js";
+import { resolveCosmology } from "./physics.js";
+
+const F_YEAR = 1 / (365.25 * 86400); // Hz
+
+// Phase-transition settings not sampled; override via physicsOptions.phaseTransition.
+export const PHASE_TRANSITION_DEFAULTS = Object.freeze({ vw: 1, gStar: 10.75 });
+
+// physicsOptions with the sampled alpha / Gamma substituted in
+function physicsFor(params, physicsOptions) {
+  if (params.alpha === physicsOptions.alpha && params.Gamma === physicsOptions.Gamma) {
+    return physicsOptions;
+  }
+  return { ...physicsOptions, alpha: params.alpha, Gamma: params.Gamma };
+}
+
+// Omega_GW from characteristic strain: (2 pi^2 / 3 H0^2) f^2 h_c^2
+function omegaFromStrain(f, hc2, physicsOptions) {
+  const { H0_Hz: H0 } = resolveCosmology(physicsOptions.cosmology);
+  return ((2 * Math.PI * Math.PI) / (3 * H0 * H0)) * f * f * hc2;
+}
+
+function soundWaveOmega(f, params, physicsOptions) {
+  const { vw, gStar } = { ...PHASE_TRANSITION_DEFAULTS, ...(physicsOptions.phaseTransition ?? {}) };
+  const { alphaPT: alpha, betaOverH, Tstar } = params;
+  const { H0 } = resolveCosmology(physicsOptions.cosmology);
+  const h = H0 / 100;
+
+  // Efficiency of converting vacuum energy into bulk motion (v_w -> 1 fit)
+  const kappa = alpha / (0.73 + 0.083 * Math.sqrt(alpha) + alpha);
+  const fPeak = (1.9e-5 / vw) * betaOverH * (Tstar / 100) * Math.pow(gStar / 100, 1 / 6);
+  const x = f / fPeak;
+  const shape = x * x * x * Math.pow(7 / (4 + 3 * x * x), 3.5);
+  const h2Omega =
+    2.65e-6 * (1 / betaOverH) * Math.pow((kappa * alpha) / (1 + alpha), 2) * Math.pow(100 / gStar, 1 / 3) * vw * shape;
+  return h2Omega / (h * h);
+}
+
+export const SGWB_MODELS = Object.freeze({
+  strings: {
+    label: "Cosmic superstrings",
+    // N identical, non-interacting string species add their spectra.
+    omega: (f, params, physicsOptions) =>
+      params.nSpecies * evaluateOmegaGW(f, params.Gmu, params.P, physicsFor(params, physicsOptions)),
+  },
+  smbhb: {
+    label: "SMBHB power law (A, γ)",
+    omega: (f, params, physicsOptions) =>
+      omegaFromStrain(f, params.A * params.A * Math.pow(f / F_YEAR, 3 - params.gamma), physicsOptions),
+  },
+  brokenPowerLaw: {
+    label: "Broken power law",
+    omega: (f, params) => {
+      const x = f / params.fBreak;
+      return (2 * params.OmegaB) / (Math.pow(x, -params.n1) + Math.pow(x, -params.n2));
+    },
+  },
+  phaseTransition: {
+    label: "First-order phase transition (sound waves)",
+    omega: soundWaveOmega,
+  },
+});
+
+export const DEFAULT_SGWB_MODELS = Object.freeze(["strings"]);
+
+export function validateComponents(components) {
+  if (!components?.length) throw new Error("Select at least one SGWB component");
+  for (const c of components) {
+    if (!SGWB_MODELS[c]) throw new Error(`Unknown SGWB component: ${c}`);
+  }
+}
+
+// Total Omega_GW(f) of the components; byComponent (optional) receives each term.
+export function sgwbOmega(f, params, physicsOptions = {}, components = DEFAULT_SGWB_MODELS, byComponent = null) {
+  let total = 0;
+  for (const c of components) {
+    const omega = SGWB_MODELS[c].omega(f, params, physicsOptions);
+    if (byComponent) byComponent[c] = omega;
+    total += omega;
+  }
+  return total;
+}
@@ -0,0 +1,69 @@
+/* src/lib/snr.js
+ * Detectability map: optimal SNR of the cosmic-string background over a
+ * (log10 Gmu, log10 P) grid, for each dataset's noise bins (sensitivity.js)
+ * and for all of them combined (SNRs add in quadrature). Omega_GW comes
+ * from calculateOmegaGW through an emulator tabulated on the map's box, so
+ * the cost is the emulator build; alpha, Gamma and the cosmology are the
+ * fixed physicsOptions and there is a single string species.
+ */
+
+import { buildOmegaEmulator, evaluateOmegaGW } from "./emulator.js";
+
+export const SNR_MAP_DEFAULTS = Object.freeze({
+  logGmuRange: [-15, -6],
+  logPRange: [-4, 0],
+  nGmu: 46,
+  nP: 21,
+  useEmulator: true,
+});
+
+/* sources: [{ key, label, bins }] with bins from noiseBins(). Returns
+ * { logGmu, logP, maps: [{ key, label, snr }] } where snr[j][i] is at
+ * (logGmu[i], logP[j]); a "combined" map is appended for several sources.
+ * onProgress receives { phase: "emulator" | "map", step, totalSteps }.
+ */
+export function computeSNRMap(sources, physicsOptions = {}, options = {}, onProgress = null) {
+  const { logGmuRange, logPRange, nGmu, nP, useEmulator } = { ...SNR_MAP_DEFAULTS, ...options };
+  if (!sources.length) throw new Error("No datasets with noise information for an SNR map");
+  if (!(nGmu >= 2 && nP >= 2)) throw new Error("SNR map needs at least 2 x 2 grid points");
+  if (!(logGmuRange[1] > logGmuRange[0] && logPRange[1] > logPRange[0])) throw new Error("SNR map ranges are empty");
+
+  const logGmu = Float64Array.from({ length: nGmu }, (_, i) => logGmuRange[0] + ((logGmuRange[1] - logGmuRange[0]) * i) / (nGmu - 1));
+  const logP = Float64Array.from({ length: nP }, (_, j) => logPRange[0] + ((logPRange[1] - logPRange[0]) * j) / (nP - 1));
+
+  let opts = physicsOptions;
+  if (useEmulator) {
+    const freqs = sources.flatMap((s) => Array.from(s.bins.frequencies));
+    const emulator = buildOmegaEmulator(freqs, physicsOptions, { logGmuRange, logPRange, nTest: 0 }, (p) => {
+      if (onProgress) onProgress({ phase: "emulator", step: p.done, totalSteps: p.total });
+    });
+    opts = { ...physicsOptions, emulator };
+  }
+
+  const maps = sources.map(({ key, label }) => ({ key, label, snr: Array.from({ length: nP }, () => new Float64Array(nGmu)) }));
+  for (let j = 0; j < nP; j++) {
+    const P = Math.pow(10, logP[j]);
+    for (let i = 0; i < nGmu; i++) {
+      const Gmu = Math.pow(10, logGmu[i]);
+      sources.forEach(({ bins }, s) => {
+        let sum = 0;
+        for (let k = 0; k < bins.frequencies.length; k++) {
+          sum += Math.pow(evaluateOmegaGW(bins.frequencies[k], Gmu, P, opts) / bins.omegaNoise[k], 2);
+        }
+        maps[s].snr[j][i] = Math.sqrt(sum);
+      });
+    }
+    if (onProgress) onProgress({ phase: "map", step: j + 1, totalSteps: nP });
+  }
+
+  if (maps.length > 1) {
+    maps.push({
+      key: "combined",
+      label: maps.map((m) => m.label).join(" + "),
+      snr: Array.from({ length: nP }, (_, j) =>
+        Float64Array.from({ length: nGmu }, (_, i) => Math.sqrt(maps.reduce((s, m) => s + m.snr[j][i] ** 2, 0)))
+      ),
+    });
+  }
+  return { logGmu, logP, maps };
+}
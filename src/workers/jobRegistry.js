@@ -0,0 +1,14 @@
+/* src/workers/jobRegistry.js
+ * One-shot computations that jobWorker.js runs off the main thread. Each job
+ * is called as job(...args, onProgress) and returns a structured-cloneable result.
+ */
+
+import { posteriorDensity } from "../lib/analysis.js";
+import { profileUpperLimits } from "../lib/limits.js";
+import { computeSNRMap } from "../lib/snr.js";
+
+export const JOBS = Object.freeze({
+  snrMap: computeSNRMap,
+  profileLimits: profileUpperLimits,
+  posteriorDensity,
+});
@@ -0,0 +1,20 @@
+import { JOBS } from "./jobRegistry.js";
+
+/* Protocol
+ *  in:  RUN { job, args }
+ *  out: PROGRESS { progress } | DONE { result } | ERROR { message }
+ * One job per worker (see jobRegistry.js); the caller terminates the worker to cancel.
+ */
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg?.type !== "RUN") return;
+  try {
+    const run = JOBS[msg.job];
+    if (!run) throw new Error(`Unknown job: ${msg.job}`);
+    const result = run(...msg.args, (progress) => self.postMessage({ type: "PROGRESS", progress }));
+    self.postMessage({ type: "DONE", result });
+  } catch (err) {
+    self.postMessage({ type: "ERROR", message: err?.message ?? String(err) });
+  }
+};
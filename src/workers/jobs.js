@@ -0,0 +1,51 @@
+/* src/workers/jobs.js
+ * Runs a one-shot job (jobRegistry.js: SNR maps, profile-likelihood limits,
+ * posterior densities) in its own jobWorker.js so it never blocks the UI; falls back to the main
+ * thread where module workers are unavailable.
+ */
+
+import { JOBS } from "./jobRegistry.js";
+
+/* handlers: { onProgress(progress), onDone(result), onError(message) }.
+ * Returns a cancel function (terminates the worker; no handler is called).
+ */
+export function startJob(job, args, handlers = {}) {
+  if (!JOBS[job]) throw new Error(`Unknown job: ${job}`);
+  let worker;
+  try {
+    worker = new Worker(new URL("./jobWorker.js", import.meta.url), { type: "module" });
+  } catch {
+    let cancelled = false;
+    setTimeout(() => {
+      if (cancelled) return;
+      try {
+        handlers.onDone?.(JOBS[job](...args, handlers.onProgress));
+      } catch (err) {
+        handlers.onError?.(err?.message ?? String(err));
+      }
+    }, 0);
+    return () => {
+      cancelled = true;
+    };
+  }
+
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    if (!msg) return;
+    if (msg.type === "PROGRESS") {
+      handlers.onProgress?.(msg.progress);
+    } else if (msg.type === "DONE") {
+      worker.terminate();
+      handlers.onDone?.(msg.result);
+    } else if (msg.type === "ERROR") {
+      worker.terminate();
+      handlers.onError?.(msg.message ?? "Worker error");
+    }
+  };
+  worker.onerror = (e) => {
+    worker.terminate();
+    handlers.onError?.(e?.message ?? "Worker failed");
+  };
+  worker.postMessage({ type: "RUN", job, args });
+  return () => worker.terminate();
+}
@@ -0,0 +1,162 @@
+/* src/workers/mcmcPool.js
+ * Pool of mcmcWorker.js instances, one independent ensemble per worker.
+ * A run posts the same RUN to every worker, aggregates their PROGRESS into a
+ * single progress object and merges the final results with the sampler's
+ * merge (samplers.js). Control messages (CANCEL / PAUSE / RESUME /
+ * SNAPSHOT) are broadcast; snapshots and cancels are merged the same way.
+ * Each run has its own tag, echoed by the workers: replies of an earlier run
+ * (e.g. CANCELLED after an error, sent once the worker's save finishes) are
+ * dropped instead of being counted towards the run in flight.
+ */
+
+import { mergeResults } from "../lib/samplers.js";
+
+export function defaultPoolSize() {
+  const n = typeof navigator !== "undefined" ? navigator.hardwareConcurrency : 1;
+  return Math.max(1, n || 1);
+}
+
+// Sum of steps over ensembles; the slowest-mixing ensemble's diagnostics;
+// move / swap acceptance and nested-sampling state of the first ensemble.
+function aggregateProgress(list) {
+  const live = list.filter(Boolean);
+  const worst = live
+    .map((p) => p.diagnostics)
+    .filter(Boolean)
+    .reduce((w, d) => (!w || d.maxTau > w.maxTau ? d : w), null);
+  const targets = live.map((p) => p.autoStop?.targetSteps).filter((t) => t != null);
+
+  return {
+    phase: live.some((p) => p.phase === "emulator") ? "emulator" : (live[0]?.phase ?? "sampling"),
+    step: live.reduce((s, p) => s + p.step, 0),
+    totalSteps: live.reduce((s, p) => s + p.totalSteps, 0),
+    acceptanceRate: live.reduce((s, p) => s + p.acceptanceRate, 0) / Math.max(1, live.length),
+    diagnostics: worst,
+    autoStop: live[0]?.autoStop ? { targetSteps: targets.length ? Math.max(...targets) : null } : null,
+    moveAcceptance: live[0]?.moveAcceptance ?? null,
+    swapAcceptance: live[0]?.swapAcceptance ?? null,
+    nested: live[0]?.nested ?? null,
+    ensembles: list.length,
+  };
+}
+
+export function createMCMCPool(size = defaultPoolSize()) {
+  const workers = Array.from(
+    { length: size },
+    () => new Worker(new URL("./mcmcWorker.js", import.meta.url), { type: "module" })
+  );
+  let active = null; // state of the run in flight
+  let lastTag = 0;
+
+  const finish = () => {
+    const { finals, cancelled, handlers } = active;
+    active = null;
+    const kept = finals.filter(Boolean);
+    handlers.onDone?.(kept.length ? mergeResults(kept) : null, { cancelled });
+  };
+
+  const collectSnapshot = () => {
+    const { snapshots, finals, handlers } = active;
+    if (snapshots.some((s) => s === undefined)) return;
+    active.snapshots = null;
+    const kept = snapshots.map((s, i) => s ?? finals[i]).filter(Boolean);
+    handlers.onSnapshot?.(kept.length ? mergeResults(kept) : null);
+  };
+
+  const onMessage = (i, msg) => {
+    if (!active || !msg || msg.tag !== active.tag) return;
+    switch (msg.type) {
+      case "PROGRESS":
+        active.progress[i] = msg.progress;
+        active.handlers.onProgress?.(aggregateProgress(active.progress));
+        break;
+      case "CHECKPOINT":
+        active.handlers.onCheckpoint?.(i, msg);
+        break;
+      case "PAUSED":
+      case "RESUMED":
+        active.handlers.onPaused?.(msg.type === "PAUSED");
+        break;
+      case "SNAPSHOT":
+        if (!active.snapshots) return;
+        active.snapshots[i] = msg.result;
+        collectSnapshot();
+        break;
+      case "DONE":
+      case "CANCELLED":
+        active.finals[i] = msg.result;
+        active.finished[i] = true;
+        active.pending--;
+        if (active.snapshots && active.snapshots[i] === undefined) {
+          active.snapshots[i] = null;
+          collectSnapshot();
+        }
+        if (active.pending === 0) finish();
+        break;
+      case "ERROR": {
+        const { handlers } = active;
+        active = null;
+        for (const w of workers) w.postMessage({ type: "CANCEL" });
+        handlers.onError?.(msg.message ?? "Worker error");
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  workers.forEach((w, i) => w.addEventListener("message", (ev) => onMessage(i, ev.data)));
+
+  return {
+    size,
+
+    /* handlers: { onProgress, onPaused(bool), onSnapshot(result), onCheckpoint(i, { step, error }),
+     *             onDone(result, { cancelled }), onError(message) }
+     * ensembles <= size workers take part (a resumed run needs its original count);
+     * streams[i] is the PRNG stream of ensemble i (default i), so an exported run
+     * can be repeated with its own ensembles on any machine.
+     */
+    run(ptaData, options, handlers = {}, ensembles = size, streams = null) {
+      if (active) throw new Error("A run is already in progress");
+      if (ensembles > size) throw new Error(`This run needs ${ensembles} workers; the pool has ${size}`);
+      if (streams && streams.length !== ensembles) throw new Error("Need one PRNG stream per ensemble");
+      active = {
+        tag: ++lastTag,
+        handlers,
+        progress: new Array(ensembles).fill(null),
+        finals: new Array(ensembles).fill(null),
+        finished: new Array(size).fill(true).fill(false, 0, ensembles),
+        snapshots: null,
+        pending: ensembles,
+        cancelled: false,
+      };
+      // Same seed, one PRNG stream per worker
+      for (let i = 0; i < ensembles; i++) {
+        workers[i].postMessage({
+          type: "RUN",
+          tag: active.tag,
+          ptaData,
+          options: { ...options, stream: streams ? streams[i] : i },
+        });
+      }
+    },
+
+    // CANCEL / PAUSE / RESUME / SNAPSHOT, broadcast to every worker still running.
+    control(type) {
+      if (!active) return;
+      if (type === "CANCEL") active.cancelled = true;
+      if (type === "SNAPSHOT") {
+        if (active.snapshots) return;
+        active.snapshots = active.finished.map((f) => (f ? null : undefined));
+      }
+      workers.forEach((w, i) => {
+        if (!active.finished[i]) w.postMessage({ type });
+      });
+    },
+
+    terminate() {
+      active = null;
+      for (const w of workers) w.terminate();
+    },
+  };
+}
@@ -1,21 +1,170 @@
-import { runEnsembleMCMC } from "../lib/mcmc.js";
+import { createSampler } from "../lib/samplers.js";
+import { checkpointsAvailable, loadCheckpoint, saveCheckpoint } from "../lib/checkpoints.js";
+
+/* Protocol
+ *  in:  RUN { tag, ptaData, options } | CANCEL | PAUSE | RESUME | SNAPSHOT
+ *  out: PROGRESS { progress } | PAUSED | RESUMED | SNAPSHOT { result }
+ *       | CHECKPOINT { step, error } | DONE { result } | CANCELLED { result }
+ *       | ERROR { message }
+ * Every reply carries the tag of the RUN it belongs to, also when it is sent
+ * after an asynchronous save, so the pool can drop replies of an old run.
+ * The sampler runs in short chunks and yields to the event loop between
+ * them, so control messages are handled while a run is in flight.
+ * With options.runId the sampler state is saved to IndexedDB every
+ * options.checkpointEvery steps and on pause / cancel / completion;
+ * options.resume restores it first, and options.extendBy adds that many
+ * fixed steps on top of the checkpoint. options.sampler picks the engine
+ * (see samplers.js); samplers without checkpoint() are never saved.
+ */
+
+const CHUNK_MS = 50;
+
+let sampler = null;
+let paused = false;
+let timer = null;
+let checkpointing = null; // { runId, stream, every, lastSaved }
+let tag = null; // of the current RUN, echoed on every reply
+
+function now() {
+  return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
+
+function post(msg, runTag = tag) {
+  self.postMessage({ ...msg, tag: runTag });
+}
+
+function postError(err, runTag = tag) {
+  post({ type: "ERROR", message: err?.message ?? String(err) }, runTag);
+}
+
+function saveState() {
+  if (!checkpointing || !sampler?.checkpoint) return Promise.resolve();
+  const { runId, stream } = checkpointing;
+  const runTag = tag;
+  const data = sampler.checkpoint();
+  checkpointing.lastSaved = data.step;
+  return saveCheckpoint(runId, stream, data).then(
+    () => post({ type: "CHECKPOINT", step: data.step, error: null }, runTag),
+    (err) => post({ type: "CHECKPOINT", step: data.step, error: err?.message ?? String(err) }, runTag)
+  );
+}
+
+function schedule() {
+  if (timer === null && sampler && !paused) timer = setTimeout(tick, 0);
+}
+
+function tick() {
+  timer = null;
+  if (!sampler || paused) return;
+
+  try {
+    const t0 = now();
+    let done = false;
+    while (!done && now() - t0 < CHUNK_MS) done = sampler.advance(1);
+
+    if (done) {
+      const result = sampler.result();
+      const runTag = tag;
+      saveState().then(() => post({ type: "DONE", result }, runTag));
+      sampler = null;
+    } else {
+      if (checkpointing && sampler.state.step - checkpointing.lastSaved >= checkpointing.every) saveState();
+      schedule();
+    }
+  } catch (err) {
+    sampler = null;
+    postError(err);
+  }
+}
+
+async function startRun({ ptaData, options }) {
+  const runTag = tag;
+  const { runId = null, stream = 0, resume = false, extendBy = 0, checkpointEvery = 500 } = options;
+  paused = false;
+  checkpointing = runId && checkpointsAvailable() ? { runId, stream, every: checkpointEvery, lastSaved: 0 } : null;
+
+  let restore = null;
+  let runOptions = options;
+  if (resume) {
+    if (!checkpointing) throw new Error("Checkpoints are not available in this browser");
+    restore = await loadCheckpoint(runId, stream);
+    if (tag !== runTag) return; // superseded by a newer RUN while loading
+    if (!restore) throw new Error(`No checkpoint for run ${runId} (ensemble ${stream})`);
+    if (extendBy > 0) {
+      // Fixed-length extension; an auto run keeps its 2 tau burn-in.
+      const total = restore.step + extendBy;
+      const tau = restore.diagnostics?.maxTau;
+      runOptions = {
+        ...options,
+        autoStop: false,
+        nSteps: total,
+        burnIn: options.autoStop && tau ? Math.min(0.5, (2 * tau) / total) : options.burnIn,
+      };
+    }
+    checkpointing.lastSaved = restore.step;
+  }
+
+  sampler = createSampler(
+    ptaData,
+    runOptions,
+    (progress) => {
+      post({ type: "PROGRESS", progress }, runTag);
+    },
+    restore
+  );
+  schedule();
+}
 
 self.onmessage = (e) => {
   const msg = e.data;
-  if (!msg || msg.type !== "RUN") return;
+  if (!msg) return;
 
-  try {
-    const { ptaData, options } = msg;
+  switch (msg.type) {
+    case "RUN": {
+      tag = msg.tag ?? null;
+      const runTag = tag;
+      startRun(msg).catch((err) => {
+        if (tag !== runTag) return;
+        sampler = null;
+        postError(err, runTag);
+      });
+      break;
+    }
 
-    const result = runEnsembleMCMC(ptaData, options, (progress) => {
-      self.postMessage({ type: "PROGRESS", progress });
-    });
+    case "CANCEL": {
+      if (!sampler) return;
+      clearTimeout(timer);
+      timer = null;
+      const result = sampler.state.step > 0 ? sampler.result() : null;
+      const runTag = tag;
+      saveState().then(() => post({ type: "CANCELLED", result }, runTag));
+      sampler = null;
+      paused = false;
+      break;
+    }
 
-    self.postMessage({ type: "DONE", result });
-  } catch (err) {
-    self.postMessage({
-      type: "ERROR",
-      message: err?.message ?? String(err),
-    });
+    case "PAUSE":
+      if (!sampler || paused) return;
+      paused = true;
+      clearTimeout(timer);
+      timer = null;
+      saveState();
+      post({ type: "PAUSED" });
+      break;
+
+    case "RESUME":
+      if (!sampler || !paused) return;
+      paused = false;
+      post({ type: "RESUMED" });
+      schedule();
+      break;
+
+    case "SNAPSHOT":
+      if (!sampler) return;
+      post({ type: "SNAPSHOT", result: sampler.state.step > 0 ? sampler.result() : null });
+      break;
+
+    default:
+      break;
   }
 };